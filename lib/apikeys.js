@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+/**
+ * ==========================================
+ * CLAVES DE API
+ * ==========================================
+ * Claves con el formato `vcp_<id>_<secreto>`. Del almacén sólo se guarda
+ * el hash SHA-256; la clave y el secreto para firmar los webhooks se
+ * muestran una única vez, al crearla. Cada clave pertenece a una cuenta y
+ * hereda su plan (gratuito o Premium).
+ */
+
+const KEY_RE = /^vcp_([a-f0-9]{12})_([a-f0-9]{48})$/;
+
+// `lastUsedAt` es orientativo: guardarlo en cada petición reescribiría el almacén entero
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createApiKeys = ({ store }) => {
+    /**
+     * Crea una clave para `userId`. `dailyLimit` (opcional) sustituye al
+     * límite diario del plan; `sharedPaths` permite crear trabajos a partir
+     * de archivos del directorio compartido. Devuelve `{ record, key }`.
+     */
+    const create = ({ name, userId, dailyLimit = null, sharedPaths = false }) => {
+        const id = crypto.randomBytes(6).toString('hex');
+        const key = `vcp_${id}_${crypto.randomBytes(24).toString('hex')}`;
+        const record = store.createApiKey({
+            id,
+            name: String(name || '').trim() || `Clave ${id}`,
+            userId,
+            hash: sha256(key),
+            webhookSecret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            dailyLimit: dailyLimit > 0 ? dailyLimit : null,
+            sharedPaths: Boolean(sharedPaths)
+        });
+        return { record, key };
+    };
+
+    // Devuelve el registro de una clave válida y no revocada, o null
+    const verify = (key) => {
+        const match = KEY_RE.exec(String(key || '').trim());
+        const record = match && store.getApiKey(match[1]);
+        if (!record || record.revokedAt) return null;
+        const expected = Buffer.from(record.hash, 'hex');
+        const given = Buffer.from(sha256(match[0]), 'hex');
+        return crypto.timingSafeEqual(expected, given) ? record : null;
+    };
+
+    const revoke = (id) => store.updateApiKey(id, { revokedAt: Date.now() });
+
+    /**
+     * Carga `req.apiKey` desde `Authorization: Bearer <clave>` o `X-API-Key`.
+     * Sin cabecera la petición sigue como una petición web normal; con una
+     * clave inválida se responde 401.
+     */
+    const middleware = (req, res, next) => {
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+        const token = bearer ? bearer[1] : req.get('x-api-key');
+        if (!token) return next();
+
+        const record = verify(token);
+        if (!record) return res.status(401).json({ error: 'Clave de API no válida o revocada.' });
+        if (!record.lastUsedAt || Date.now() - record.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+            store.updateApiKey(record.id, { lastUsedAt: Date.now() });
+        }
+        req.apiKey = record;
+        next();
+    };
+
+    // Vista sin el hash ni el secreto de webhooks
+    const view = ({ hash, webhookSecret, ...record }) => record;
+
+    return { create, verify, revoke, middleware, view };
+};
+
+module.exports = { createApiKeys };
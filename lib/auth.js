@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * ==========================================
+ * CUENTAS: ENLACE MÁGICO Y SESIONES
+ * ==========================================
+ * El usuario introduce su email y recibe un enlace de un solo uso. Al
+ * abrirlo se crea una sesión en el almacén y se guarda su id, firmado con
+ * HMAC, en la cookie `sid`.
+ */
+
+const COOKIE_NAME = 'sid';
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Las cookies mal codificadas (p. ej. de otra app del mismo dominio) se ignoran en lugar de romper la petición
+const parseCookies = (header = '') => header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index <= 0) return cookies;
+    try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+        // URIError: se descarta este par
+    }
+    return cookies;
+}, {});
+
+const createAuth = ({ store, mailer, secret, linkTtl = 15 * 60 * 1000, sessionTtl = 30 * 24 * 60 * 60 * 1000 }) => {
+    const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+    const unsign = (signed = '') => {
+        const [value, signature] = signed.split('.');
+        if (!value || !signature) return null;
+        const expected = Buffer.from(sign(value));
+        const given = Buffer.from(signature);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? value : null;
+    };
+
+    /**
+     * Genera y envía un enlace de acceso. Lanza un error si el email no es válido.
+     */
+    const sendLoginLink = async (rawEmail, baseUrl, next = '/conversor') => {
+        const email = normalizeEmail(rawEmail);
+        if (!EMAIL_RE.test(email)) throw new Error('Introduce un email válido.');
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        store.putLoginToken(sha256(token), { email, next, expiresAt: Date.now() + linkTtl });
+
+        const link = `${baseUrl}/login/verify?token=${token}`;
+        await mailer.send({
+            to: email,
+            subject: 'Tu enlace de acceso a VideoConverter Pro',
+            text: `Abre este enlace para iniciar sesión (caduca en ${Math.round(linkTtl / 60000)} minutos):\n${link}`
+        });
+        return email;
+    };
+
+    /**
+     * Consume el token y devuelve `{ user, next }`, creando la cuenta la
+     * primera vez. Devuelve null si el enlace no existe o ha caducado.
+     */
+    const redeemLoginToken = (token) => {
+        const record = store.takeLoginToken(sha256(String(token || '')));
+        if (!record) return null;
+        const user = store.findUserByEmail(record.email) || store.createUser({ email: record.email });
+        return { user, next: record.next };
+    };
+
+    const startSession = (req, res, user) => {
+        const id = crypto.randomBytes(24).toString('base64url');
+        store.putSession(id, { userId: user.id, expiresAt: Date.now() + sessionTtl });
+        res.cookie(COOKIE_NAME, `${id}.${sign(id)}`, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: sessionTtl
+        });
+    };
+
+    const endSession = (req, res) => {
+        if (req.sessionId) store.deleteSession(req.sessionId);
+        res.clearCookie(COOKIE_NAME);
+    };
+
+    // Carga `req.user` (y `res.locals.user` para las vistas) a partir de la cookie
+    const middleware = (req, res, next) => {
+        const sessionId = unsign(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+        const session = sessionId && store.getSession(sessionId);
+        req.sessionId = session ? sessionId : null;
+        req.user = session ? store.getUser(session.userId) : null;
+        res.locals.user = req.user;
+        next();
+    };
+
+    return { sendLoginLink, redeemLoginToken, startSession, endSession, middleware };
+};
+
+module.exports = { createAuth, normalizeEmail };
@@ -0,0 +1,275 @@
+const { normalizeEmail } = require('./auth');
+
+/**
+ * ==========================================
+ * SUSCRIPCIONES STRIPE
+ * ==========================================
+ * Planes recurrentes y procesamiento de webhooks. `handleEvent` sólo usa el
+ * almacén (nunca la red), así que puede probarse con eventos de ejemplo
+ * firmados con `stripe.webhooks.generateTestHeaderString`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Margen tras el fin de periodo para que llegue el cobro de la renovación
+const RENEWAL_GRACE_MS = DAY_MS;
+
+// Los eventos ya procesados se recuerdan 30 días (Stripe reintenta durante 3)
+const EVENT_TTL_MS = 30 * DAY_MS;
+
+const plans = {
+    monthly: { id: 'monthly', label: 'Mensual', interval: 'month', amount: 999, days: 31, price: process.env.STRIPE_PRICE_MONTHLY },
+    yearly: { id: 'yearly', label: 'Anual', interval: 'year', amount: 9999, days: 366, price: process.env.STRIPE_PRICE_YEARLY }
+};
+
+// Compatible con versiones del API que mueven el periodo a los items
+const periodEnd = (subscription) => {
+    if (subscription.current_period_end) return subscription.current_period_end * 1000;
+    const ends = ((subscription.items && subscription.items.data) || []).map(item => item.current_period_end || 0);
+    return ends.length ? Math.max(...ends) * 1000 : null;
+};
+
+const createBilling = ({ stripe, store, webhookSecret, legacyDays = 30 }) => {
+    const findPlan = (id) => {
+        const plan = plans[id || 'monthly'];
+        if (!plan) throw new Error(`Plan desconocido: ${id}`);
+        return plan;
+    };
+
+    /**
+     * Parámetros de `stripe.checkout.sessions.create` para suscribir a `user`.
+     * Sin STRIPE_PRICE_* se usa un precio en línea (útil en local).
+     */
+    const checkoutParams = ({ planId, user, baseUrl }) => {
+        const plan = findPlan(planId);
+        const lineItem = plan.price
+            ? { price: plan.price, quantity: 1 }
+            : {
+                price_data: {
+                    currency: 'usd',
+                    product_data: { name: `Suscripción Premium (${plan.label})` },
+                    unit_amount: plan.amount,
+                    recurring: { interval: plan.interval }
+                },
+                quantity: 1
+            };
+
+        return {
+            mode: 'subscription',
+            line_items: [lineItem],
+            success_url: `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${baseUrl}/premium`,
+            client_reference_id: user.id,
+            metadata: { userId: user.id, plan: plan.id },
+            subscription_data: { metadata: { userId: user.id, plan: plan.id } },
+            ...(user.stripeCustomerId ? { customer: user.stripeCustomerId } : { customer_email: user.email })
+        };
+    };
+
+    const linkCustomer = (user, customerId) => {
+        if (customerId && user.stripeCustomerId !== customerId) {
+            store.updateUser(user.id, { stripeCustomerId: customerId });
+        }
+    };
+
+    /**
+     * Amplía Premium hasta `expiresAt`. Nunca acorta una concesión vigente
+     * (p. ej. la de un administrador sin caducidad) ni se apropia de ella: si
+     * dura más, se conserva, y el fin de la suscripción no la revocará.
+     * Mantiene la fecha de compra original al renovar la misma suscripción.
+     */
+    const grantUntil = (user, expiresAt, reference) => {
+        const current = store.isPremium(user.id) ? user.premium : null;
+        if (current && (!current.expiresAt || current.expiresAt >= expiresAt)) return;
+        const sameReference = current && current.reference === reference;
+        store.setPremium(user.id, {
+            purchasedAt: sameReference ? current.purchasedAt : Date.now(),
+            expiresAt,
+            source: 'stripe',
+            reference
+        });
+    };
+
+    // Cuenta a la que pertenece una sesión de Checkout; si se pagó sin cuenta, se crea por email
+    const userForCheckout = (session) => {
+        const byReference = session.client_reference_id && store.getUser(session.client_reference_id);
+        if (byReference && byReference.email) return byReference;
+        const email = normalizeEmail((session.customer_details && session.customer_details.email) || session.customer_email);
+        if (!email) return null;
+        return store.findUserByEmail(email) || store.createUser({ email });
+    };
+
+    /**
+     * Concesión (suscripción o sesión de Checkout de pago único) que pagó un
+     * cobro, según los pagos registrados; null si no se conoce.
+     */
+    const grantOfCharge = (charge) => {
+        const payments = store.listPayments();
+        const invoice = charge.invoice && payments.find(p => p.type === 'invoice' && p.id === charge.invoice);
+        if (invoice) return invoice.subscription || null;
+        const payment = charge.payment_intent && payments.find(p => p.type === 'payment' && p.paymentIntent === charge.payment_intent);
+        return payment ? payment.id : null;
+    };
+
+    // Evita que el fin de una suscripción antigua revoque una más reciente o una concesión manual
+    const ownsPremium = (user, reference) => !user.premium || (user.premium.source === 'stripe' && user.premium.reference === reference);
+
+    const userForObject = (object) => {
+        const userId = object.metadata && object.metadata.userId;
+        return (userId && store.getUser(userId)) || (object.customer && store.findUserByCustomer(object.customer)) || null;
+    };
+
+    // Las facturas no llevan metadatos propios: se leen los de su suscripción
+    // (`parent.subscription_details` en versiones recientes del API)
+    const invoiceSubscription = (invoice) => {
+        const details = invoice.subscription_details || (invoice.parent && invoice.parent.subscription_details) || {};
+        return { id: invoice.subscription || details.subscription || null, metadata: details.metadata || {} };
+    };
+
+    /**
+     * Stripe no garantiza el orden de los eventos: la primera factura puede
+     * llegar antes que `checkout.session.completed`, con el cliente aún sin
+     * vincular. Si no se encuentra la cuenta se lanza para que Stripe
+     * reintente el evento en lugar de darlo por procesado.
+     */
+    const userForInvoice = (invoice) => {
+        const user = userForObject({ ...invoice, metadata: invoiceSubscription(invoice).metadata });
+        if (!user) throw new Error(`No se encontró la cuenta de la factura ${invoice.id}.`);
+        return user;
+    };
+
+    /**
+     * Concede Premium a partir de una sesión de Checkout pagada. Para
+     * suscripciones concede el primer periodo del plan; los eventos de la
+     * suscripción ajustan después la fecha exacta. Las sesiones antiguas de
+     * pago único dan `legacyDays` días.
+     */
+    const applyCheckoutSession = (user, session) => {
+        if (session.payment_status !== 'paid') return false;
+        linkCustomer(user, session.customer);
+
+        if (session.mode === 'subscription') {
+            const plan = plans[session.metadata && session.metadata.plan] || plans.monthly;
+            store.updateUser(user.id, {
+                subscription: { ...(user.subscription || {}), id: session.subscription, plan: plan.id, status: 'active' }
+            });
+            grantUntil(user, session.created * 1000 + plan.days * DAY_MS + RENEWAL_GRACE_MS, session.subscription);
+        } else {
+            grantUntil(user, session.created * 1000 + legacyDays * DAY_MS, session.id);
+        }
+        return store.isPremium(user.id);
+    };
+
+    /**
+     * Sincroniza el estado de una suscripción: activa o en prueba amplía
+     * Premium hasta el fin del periodo; `past_due` lo conserva sin ampliarlo
+     * (Stripe sigue reintentando); cancelada o impagada lo revoca.
+     */
+    const applySubscription = (user, subscription) => {
+        linkCustomer(user, subscription.customer);
+        store.updateUser(user.id, {
+            subscription: {
+                id: subscription.id,
+                plan: (subscription.metadata && subscription.metadata.plan) || (user.subscription && user.subscription.plan) || null,
+                status: subscription.status,
+                cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end)
+            }
+        });
+
+        const end = periodEnd(subscription);
+        if (['active', 'trialing'].includes(subscription.status) && end) {
+            grantUntil(user, end + RENEWAL_GRACE_MS, subscription.id);
+        } else if (['canceled', 'unpaid', 'incomplete_expired'].includes(subscription.status) && ownsPremium(user, subscription.id)) {
+            store.revokePremium(user.id);
+        }
+        return store.isPremium(user.id);
+    };
+
+    const handlers = {
+        'checkout.session.completed': (session) => {
+            const user = userForCheckout(session);
+            if (!user) return;
+            applyCheckoutSession(user, session);
+            // Las suscripciones se contabilizan con su factura (invoice.paid)
+            if (session.mode === 'payment' && session.payment_status === 'paid') {
+                store.addPayment({ id: session.id, userId: user.id, amount: session.amount_total, currency: session.currency, type: 'payment', paymentIntent: session.payment_intent || null });
+            }
+        },
+        'customer.subscription.created': (subscription) => {
+            const user = userForObject(subscription);
+            if (user) applySubscription(user, subscription);
+        },
+        'customer.subscription.updated': (subscription) => {
+            const user = userForObject(subscription);
+            if (user) applySubscription(user, subscription);
+        },
+        'customer.subscription.deleted': (subscription) => {
+            const user = userForObject(subscription);
+            if (user) applySubscription(user, { ...subscription, status: 'canceled' });
+        },
+        // Renovación cobrada: amplía hasta el final del periodo facturado
+        'invoice.paid': (invoice) => {
+            const subscription = invoiceSubscription(invoice);
+            // Este servicio sólo factura suscripciones (los pagos únicos antiguos llegan por Checkout)
+            if (!subscription.id) return;
+            const user = userForInvoice(invoice);
+            // Así los reembolsos de este cobro encuentran la cuenta aunque llegue antes que el Checkout
+            linkCustomer(user, invoice.customer);
+            if (invoice.amount_paid) {
+                store.addPayment({ id: invoice.id, userId: user.id, amount: invoice.amount_paid, currency: invoice.currency, type: 'invoice', subscription: subscription.id });
+            }
+            const ends = ((invoice.lines && invoice.lines.data) || []).map(line => line.period.end * 1000);
+            if (ends.length) grantUntil(user, Math.max(...ends) + RENEWAL_GRACE_MS, subscription.id);
+        },
+        // Si Stripe ya no va a reintentar el cobro, se revoca; si no, Premium caduca solo al acabar el periodo pagado
+        'invoice.payment_failed': (invoice) => {
+            const subscription = invoiceSubscription(invoice);
+            if (!subscription.id) return;
+            const user = userForInvoice(invoice);
+            store.updateUser(user.id, { subscription: { ...(user.subscription || {}), status: 'past_due' } });
+            if (!invoice.next_payment_attempt && ownsPremium(user, subscription.id)) store.revokePremium(user.id);
+        },
+        // Se contabiliza lo reembolsado desde el último evento. Sólo un reembolso total retira
+        // Premium, y sólo si el cobro pagó la concesión vigente (no un pago antiguo)
+        'charge.refunded': (charge) => {
+            const user = userForObject(charge);
+            if (!user) return;
+            const alreadyRefunded = store.listPayments()
+                .filter(p => p.type === 'refund' && p.reference === charge.id)
+                .reduce((total, p) => total - p.amount, 0);
+            const delta = charge.amount_refunded - alreadyRefunded;
+            if (delta > 0) {
+                store.addPayment({ id: `${charge.id}-${charge.amount_refunded}`, userId: user.id, amount: -delta, currency: charge.currency, type: 'refund', reference: charge.id });
+            }
+            const grant = charge.refunded && grantOfCharge(charge);
+            if (grant && user.premium && ownsPremium(user, grant)) store.revokePremium(user.id);
+        }
+    };
+
+    /**
+     * Procesa un evento ya verificado. Devuelve `{ handled, duplicate }`. Si
+     * el handler lanza, el evento no se marca y Stripe lo reintentará.
+     */
+    const handleEvent = (event) => {
+        if (store.hasProcessedEvent(event.id)) return { handled: false, duplicate: true };
+        const handler = handlers[event.type];
+        if (handler) handler(event.data.object);
+        store.recordProcessedEvent(event.id, { type: event.type, expiresAt: Date.now() + EVENT_TTL_MS });
+        return { handled: Boolean(handler), duplicate: false };
+    };
+
+    // Verificación de firma local (sin red)
+    const constructEvent = (rawBody, signature) => stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+
+    return {
+        plans: Object.values(plans),
+        checkoutParams,
+        applyCheckoutSession,
+        applySubscription,
+        userForCheckout,
+        handleEvent,
+        constructEvent
+    };
+};
+
+module.exports = { createBilling, plans };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+
+/**
+ * ==========================================
+ * COLA DE TRABAJOS FFmpeg
+ * ==========================================
+ * Pool acotado de procesos ffmpeg. Los trabajos que no caben esperan en
+ * una cola FIFO y conocen su posición. El progreso se lee de la salida
+ * `-progress pipe:1` de ffmpeg.
+ */
+
+const STATUS_LABELS = {
+    queued: 'En cola',
+    processing: 'Procesando',
+    completed: 'Completado',
+    failed: 'Error',
+    cancelled: 'Cancelado'
+};
+
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// "00:01:23.45" -> 83.45
+const parseTimestamp = (value) => {
+    const match = /(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(value || '');
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+const formatTime = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+        .map(n => String(n).padStart(2, '0'))
+        .join(':');
+};
+
+class JobQueue extends EventEmitter {
+    constructor({ concurrency = 2, maxQueued = 50, ffmpegPath = 'ffmpeg' } = {}) {
+        super();
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.ffmpegPath = ffmpegPath;
+        this.jobs = new Map();
+        this.waiting = [];
+        this.running = new Set();
+    }
+
+    /**
+     * Encola una conversión. `args` son los argumentos de ffmpeg (incluidos
+     * `-i` y la ruta de salida); la cola añade las opciones de progreso.
+     * Con `keepInput` el archivo de entrada no se borra al terminar. `id`
+     * permite fijar el identificador de antemano (p. ej. para nombrar la salida).
+     */
+    add({ id = crypto.randomUUID(), owner, inputPath, outputPath, args, duration = null, keepInput = false, meta = {} }) {
+        if (this.waiting.length >= this.maxQueued) {
+            throw new Error('La cola de conversiones está llena. Inténtalo más tarde.');
+        }
+
+        const job = {
+            id,
+            owner,
+            inputPath,
+            outputPath,
+            args,
+            keepInput,
+            meta,
+            state: 'queued',
+            duration,
+            processed: 0,
+            speed: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            process: null
+        };
+        job.finished = new Promise(resolve => { job.resolveFinished = resolve; });
+
+        this.jobs.set(job.id, job);
+        this.waiting.push(job);
+        this.emit('queued', job);
+        this._next();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    position(job) {
+        return this.waiting.indexOf(job) + 1;
+    }
+
+    get activeCount() {
+        return this.running.size + this.waiting.length;
+    }
+
+    // Trabajos en curso seguidos de los que esperan, en orden de cola
+    liveJobs() {
+        return [...this.running, ...this.waiting];
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || FINAL_STATES.includes(job.state)) return false;
+
+        if (job.state === 'queued') {
+            this.waiting.splice(this.waiting.indexOf(job), 1);
+            this._finish(job, 'cancelled');
+        } else {
+            job.cancelRequested = true;
+            job.process.kill('SIGKILL');
+        }
+        return true;
+    }
+
+    // Espera a que el trabajo termine (en cualquier estado final)
+    wait(job) {
+        return job.finished;
+    }
+
+    // Vista pública del trabajo, con el formato que espera public_converter.ejs
+    view(job) {
+        const elapsed = job.startedAt ? ((job.finishedAt || Date.now()) - job.startedAt) / 1000 : 0;
+        let progress = 0;
+        if (job.state === 'completed') progress = 100;
+        else if (job.duration) progress = Math.min(99, Math.floor((job.processed / job.duration) * 100));
+
+        const position = this.position(job);
+        return {
+            jobId: job.id,
+            status: position ? `${STATUS_LABELS.queued} (posición ${position})` : STATUS_LABELS[job.state],
+            state: job.state,
+            position,
+            progress,
+            time: formatTime(elapsed),
+            speed: job.speed || 'N/A',
+            done: FINAL_STATES.includes(job.state),
+            error: job.error
+        };
+    }
+
+    // Olvida los trabajos terminados antes de `threshold`
+    prune(threshold) {
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && job.finishedAt < threshold) this.jobs.delete(id);
+        }
+    }
+
+    _next() {
+        while (this.running.size < this.concurrency && this.waiting.length) {
+            this._run(this.waiting.shift());
+        }
+    }
+
+    _run(job) {
+        job.state = 'processing';
+        job.startedAt = Date.now();
+        this.running.add(job);
+        this.emit('started', job);
+
+        const ffmpeg = spawn(this.ffmpegPath, ['-hide_banner', '-nostats', '-progress', 'pipe:1', '-y', ...job.args]);
+        job.process = ffmpeg;
+
+        let stdoutBuffer = '';
+        ffmpeg.stdout.on('data', (chunk) => {
+            stdoutBuffer += chunk;
+            const lines = stdoutBuffer.split('\n');
+            stdoutBuffer = lines.pop();
+            lines.forEach(line => this._onProgressLine(job, line.trim()));
+        });
+
+        let stderrTail = '';
+        ffmpeg.stderr.on('data', (chunk) => {
+            stderrTail = (stderrTail + chunk).slice(-4096);
+            if (!job.duration) {
+                const match = /Duration:\s*(\d+:\d{2}:\d{2}(?:\.\d+)?)/.exec(stderrTail);
+                if (match) job.duration = parseTimestamp(match[1]);
+            }
+        });
+
+        ffmpeg.on('error', (err) => {
+            job.spawnError = err.code === 'ENOENT' ? 'FFmpeg no está instalado en el servidor.' : err.message;
+        });
+
+        ffmpeg.on('close', (code) => {
+            job.process = null;
+            this.running.delete(job);
+
+            if (job.cancelRequested) {
+                this._finish(job, 'cancelled');
+            } else if (code === 0) {
+                this._finish(job, 'completed');
+            } else {
+                const lastLine = stderrTail.trim().split('\n').pop();
+                this._finish(job, 'failed', job.spawnError || lastLine || `ffmpeg terminó con código ${code}`);
+            }
+            this._next();
+        });
+    }
+
+    _onProgressLine(job, line) {
+        const [key, value] = line.split('=');
+        if (key === 'out_time') {
+            const seconds = parseTimestamp(value);
+            if (seconds !== null) job.processed = seconds;
+        } else if (key === 'speed' && value !== 'N/A') {
+            job.speed = value.trim();
+        }
+        this.emit('progress', job);
+    }
+
+    _finish(job, state, error = null) {
+        job.state = state;
+        job.error = error;
+        job.finishedAt = Date.now();
+
+        if (!job.keepInput) fs.unlink(job.inputPath, () => {});
+        if (state !== 'completed') fs.unlink(job.outputPath, () => {});
+
+        this.emit(state, job);
+        this.emit('done', job);
+        job.resolveFinished(job);
+    }
+}
+
+module.exports = { JobQueue, STATUS_LABELS, parseTimestamp, formatTime };
@@ -0,0 +1,30 @@
+/**
+ * ==========================================
+ * ENVÍO DE CORREO
+ * ==========================================
+ * Transportes intercambiables. `console` imprime el mensaje en el log y es
+ * el predeterminado en local; un transporte SMTP o de API se añade con
+ * `registerTransport` y se selecciona con MAIL_TRANSPORT.
+ */
+
+const transports = {
+    console: () => ({
+        send: async ({ to, subject, text }) => {
+            console.log(`[mail] Para: ${to}\n[mail] Asunto: ${subject}\n${text}`);
+        }
+    })
+};
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+const createMailer = ({ transport = 'console', from = 'VideoConverter Pro <no-reply@localhost>', ...options } = {}) => {
+    if (!transports[transport]) throw new Error(`Transporte de correo desconocido: ${transport}`);
+    const impl = transports[transport](options);
+    return {
+        send: (message) => impl.send({ from, ...message })
+    };
+};
+
+module.exports = { createMailer, registerTransport };
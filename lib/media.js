@@ -0,0 +1,211 @@
+const { spawn } = require('child_process');
+
+/**
+ * ==========================================
+ * INSPECCIÓN DE MEDIOS (FFprobe)
+ * ==========================================
+ * El tipo de un archivo se decide por su contenido, no por el mimetype ni
+ * la extensión que envía el cliente: ffprobe identifica el contenedor y
+ * las pistas, y sólo se acepta lo que ffmpeg puede decodificar.
+ */
+
+// Demuxers de ffprobe (`format_name`) admitidos como entrada
+const ACCEPTED_CONTAINERS = ['mov', 'mp4', 'matroska', 'webm', 'avi', 'mpeg', 'mpegts', 'mp3', 'wav', 'ogg', 'flac', 'aac'];
+
+class MediaError extends Error {
+    constructor(message, status = 415) {
+        super(message);
+        this.name = 'MediaError';
+        this.status = status;
+    }
+}
+
+const toNumber = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// "30000/1001" -> 29.97
+const parseRate = (value) => {
+    const [num, den] = String(value || '').split('/').map(Number);
+    if (!num || !den) return null;
+    return Math.round((num / den) * 100) / 100;
+};
+
+// Ejecuta un binario y devuelve su stdout; lo mata si supera `timeout`
+const run = (command, args, { timeout, notFound }) => new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const stdout = [];
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2048); });
+    child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err.code === 'ENOENT' ? new MediaError(notFound, 500) : err);
+    });
+    child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (signal) return reject(new MediaError('El análisis del archivo tardó demasiado.', 422));
+        if (code !== 0) return reject(Object.assign(new Error(stderr.trim() || `código ${code}`), { code }));
+        resolve(Buffer.concat(stdout));
+    });
+});
+
+const streamView = (stream) => ({
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name,
+    codecLong: stream.codec_long_name || null,
+    profile: stream.profile || null,
+    bitrate: toNumber(stream.bit_rate),
+    duration: toNumber(stream.duration),
+    ...(stream.codec_type === 'video' ? {
+        width: stream.width,
+        height: stream.height,
+        fps: parseRate(stream.avg_frame_rate) || parseRate(stream.r_frame_rate),
+        pixelFormat: stream.pix_fmt || null
+    } : {}),
+    ...(stream.codec_type === 'audio' ? {
+        sampleRate: toNumber(stream.sample_rate),
+        channels: stream.channels || null,
+        channelLayout: stream.channel_layout || null
+    } : {})
+});
+
+// Las carátulas de MP3/M4A aparecen como pista de vídeo, pero no lo son
+const isCoverArt = (stream) => Boolean(stream.disposition && stream.disposition.attached_pic);
+
+const createInspector = ({ ffprobePath = 'ffprobe', ffmpegPath = 'ffmpeg', timeout = 30000 } = {}) => {
+    /**
+     * Analiza `file` con ffprobe. Lanza MediaError (415) si no es un
+     * contenedor admitido o no tiene ninguna pista de audio/vídeo decodificable.
+     */
+    const probe = async (file) => {
+        let output;
+        try {
+            output = await run(ffprobePath, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file], {
+                timeout,
+                notFound: 'FFprobe no está instalado en el servidor.'
+            });
+        } catch (e) {
+            if (e instanceof MediaError) throw e;
+            throw new MediaError('El archivo no es un vídeo o audio válido.');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(output.toString('utf8'));
+        } catch (e) {
+            throw new MediaError('No se pudo analizar el archivo.');
+        }
+
+        const format = data.format || {};
+        const demuxers = String(format.format_name || '').split(',');
+        if (!demuxers.some(name => ACCEPTED_CONTAINERS.includes(name))) {
+            throw new MediaError(`Formato de archivo no soportado${format.format_long_name ? `: ${format.format_long_name}` : ''}.`);
+        }
+
+        const streams = (data.streams || [])
+            .filter(s => ['video', 'audio'].includes(s.codec_type) && s.codec_name && s.codec_name !== 'none' && !isCoverArt(s))
+            .map(streamView);
+        if (!streams.length) throw new MediaError('El archivo no contiene pistas de vídeo ni de audio.');
+
+        const video = streams.find(s => s.type === 'video') || null;
+        const audio = streams.find(s => s.type === 'audio') || null;
+        return {
+            container: demuxers[0],
+            containerLong: format.format_long_name || null,
+            duration: toNumber(format.duration) || Math.max(0, ...streams.map(s => s.duration || 0)) || null,
+            bitrate: toNumber(format.bit_rate),
+            size: toNumber(format.size),
+            streams,
+            video,
+            audio
+        };
+    };
+
+    /**
+     * Fotograma en JPEG (data URL) al 10% de la duración, o null si no hay
+     * vídeo o no se pudo extraer. Nunca lanza: la miniatura es opcional.
+     */
+    const thumbnail = async (file, media, { width = 320 } = {}) => {
+        if (!media.video) return null;
+        const at = Math.min(10, (media.duration || 0) * 0.1).toFixed(2);
+        try {
+            const image = await run(ffmpegPath, [
+                '-hide_banner', '-v', 'error', '-ss', at, '-i', file,
+                '-frames:v', '1', '-vf', `scale=${width}:-2`, '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1'
+            ], { timeout, notFound: 'FFmpeg no está instalado en el servidor.' });
+            return image.length ? `data:image/jpeg;base64,${image.toString('base64')}` : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return { probe, thumbnail };
+};
+
+/**
+ * Comprueba la duración y la resolución (lado mayor, en píxeles) contra los
+ * límites del plan. Con `premiumLimits` (usuarios gratuitos), si Premium lo
+ * permitiría responde 403 para que el cliente ofrezca la mejora.
+ */
+const checkLimits = (media, { maxDuration, maxResolution }, premiumLimits = null) => {
+    const fits = (limits) => (!media.duration || media.duration <= limits.maxDuration)
+        && (!media.video || Math.max(media.video.width || 0, media.video.height || 0) <= limits.maxResolution);
+    if (fits({ maxDuration, maxResolution })) return;
+
+    const status = premiumLimits && fits(premiumLimits) ? 403 : 422;
+    if (media.duration > maxDuration) {
+        throw new MediaError(`El archivo dura demasiado (máximo ${Math.floor(maxDuration / 60)} minutos en tu plan).`, status);
+    }
+    throw new MediaError(`La resolución es demasiado alta (máximo ${maxResolution} píxeles de lado en tu plan).`, status);
+};
+
+const parseBitrate = (value) => {
+    const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(String(value || ''));
+    if (!match) return null;
+    return Number(match[1]) * ({ k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1);
+};
+
+// Bits por píxel aproximados de cada modo de calidad (x264 CRF 23 ≈ 0.09, cada 6 puntos duplica)
+const videoBitrate = (video, width, height, fps) => {
+    if (video.bitrate) return parseBitrate(video.bitrate);
+    let bitsPerPixel = 0.1;
+    if (video.crf !== undefined) bitsPerPixel = 0.09 * Math.pow(2, (23 - video.crf) / 6);
+    else if (video.qscale !== undefined) bitsPerPixel = 0.6 / video.qscale;
+    return width * height * fps * bitsPerPixel;
+};
+
+const audioBitrate = (audio, source) => {
+    const channels = Math.min(audio.channels || source.channels || 2, source.channels || 2);
+    const sampleRate = audio.sampleRate || source.sampleRate || 44100;
+    if (audio.bitrate) return parseBitrate(audio.bitrate);
+    if (audio.qscale !== undefined) return (64 + audio.qscale * 24) * 1000; // Vorbis -q:a
+    if (/^pcm_s(\d+)/.test(audio.codec)) return sampleRate * channels * Number(/^pcm_s(\d+)/.exec(audio.codec)[1]);
+    if (audio.codec === 'flac') return sampleRate * channels * 16 * 0.6;
+    return 128000;
+};
+
+/**
+ * Tamaño aproximado (bytes) de convertir `media` con `preset`, o null si
+ * no se conoce la duración. Es una estimación orientativa para la interfaz.
+ */
+const estimateOutputSize = (media, preset) => {
+    if (!media.duration) return null;
+    let bitrate = 0;
+
+    if (preset.video && media.video && media.video.width && media.video.height) {
+        const height = Math.min(preset.video.maxHeight || media.video.height, media.video.height);
+        const width = Math.round((media.video.width * height) / media.video.height);
+        bitrate += videoBitrate(preset.video, width, height, media.video.fps || 30);
+    }
+    if (media.audio) bitrate += audioBitrate(preset.audio, media.audio);
+
+    // ~2% de sobrecarga del contenedor
+    return Math.round((bitrate * media.duration / 8) * 1.02);
+};
+
+module.exports = { MediaError, ACCEPTED_CONTAINERS, createInspector, checkLimits, estimateOutputSize, audioBitrate };
@@ -0,0 +1,297 @@
+const presets = require('./presets');
+const { audioBitrate } = require('./media');
+
+/**
+ * ==========================================
+ * OPERACIONES DE EDICIÓN
+ * ==========================================
+ * Operaciones combinables (recortar, escalar, girar, GIF...) que se
+ * traducen en argumentos de ffmpeg sobre el preset elegido. Se piden como
+ * lista `[{ "type": "trim", "start": 5, "end": 20 }, ...]` y se aplican
+ * siempre en el orden de ORDER, sea cual sea el de la petición: así un
+ * recorte se mide en coordenadas del original y el escalado va al final.
+ */
+
+const ORDER = ['trim', 'crop', 'rotate', 'scale', 'fps', 'mute', 'normalize', 'gif', 'webp', 'snapshot'];
+
+class OperationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OperationError';
+        this.status = status;
+    }
+}
+
+// 90 | "90" | "01:30" | "00:01:30.5" -> segundos
+const parseTime = (value, name) => {
+    let seconds = null;
+    if (typeof value === 'number') seconds = value;
+    else if (/^\d+(\.\d+)?$/.test(String(value))) seconds = Number(value);
+    else {
+        const match = /^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/.exec(String(value));
+        if (match) seconds = Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+    }
+    if (!Number.isFinite(seconds) || seconds < 0) throw new OperationError(`Tiempo no válido en "${name}": ${value}`);
+    return seconds;
+};
+
+const integer = (value, name, min, max) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw new OperationError(`"${name}" debe ser un número entero entre ${min} y ${max}.`);
+    }
+    return n;
+};
+
+const even = (n) => n - (n % 2);
+
+// Igual que los límites de medios: 403 si Premium lo permitiría (para ofrecer la mejora), 422 si no
+const checkTier = (value, key, ctx, message) => {
+    if (value <= ctx.limits[key]) return;
+    const status = ctx.premiumLimits && value <= ctx.premiumLimits[key] ? 403 : 422;
+    throw new OperationError(message, status);
+};
+
+const animation = (format, { fps = 10, width = 480 }, plan, ctx) => {
+    const rate = Number(fps);
+    if (!(rate >= 1 && rate <= 30)) throw new OperationError('"fps" debe estar entre 1 y 30.');
+    const size = even(integer(width, 'width', 16, 1280));
+    if (!plan.duration) throw new OperationError('No se conoce la duración del archivo.', 422);
+    checkTier(plan.duration, 'maxAnimation', ctx,
+        `La animación dura demasiado (máximo ${ctx.limits.maxAnimation} s en tu plan). Recórtala con "trim".`);
+
+    plan.output = {
+        format,
+        extension: format,
+        filters: [`fps=${rate}`, `scale=${size}:-1:flags=lanczos`],
+        // El GIF genera su propia paleta para no degradar los colores
+        palette: format === 'gif',
+        args: format === 'gif'
+            ? ['-loop', '0', '-f', 'gif']
+            : ['-c:v', 'libwebp', '-loop', '0', '-q:v', '75', '-f', 'webp']
+    };
+};
+
+/**
+ * Cada operación declara si es sólo Premium, si produce su propia salida
+ * (`output`) y qué pistas necesita; `apply` valida los parámetros y
+ * modifica el plan.
+ */
+const definitions = {
+    trim: {
+        apply: ({ start = 0, end }, plan, { media }) => {
+            const from = parseTime(start, 'start');
+            const to = end === undefined || end === null || end === '' ? media.duration : parseTime(end, 'end');
+            if (!to) throw new OperationError('Indica el final del recorte ("end").');
+            if (media.duration && from >= media.duration) {
+                throw new OperationError('El inicio del recorte supera la duración del archivo.');
+            }
+            const until = media.duration ? Math.min(to, media.duration) : to;
+            if (until <= from) throw new OperationError('El final del recorte debe ser posterior al inicio.');
+
+            plan.inputArgs.push('-ss', from.toFixed(3), '-t', (until - from).toFixed(3));
+            plan.duration = until - from;
+        }
+    },
+    crop: {
+        video: true,
+        apply: ({ width, height, x = 0, y = 0 }, plan) => {
+            const w = even(integer(width, 'width', 16, plan.frame.width));
+            const h = even(integer(height, 'height', 16, plan.frame.height));
+            const left = integer(x, 'x', 0, plan.frame.width - w);
+            const top = integer(y, 'y', 0, plan.frame.height - h);
+            plan.videoFilters.push(`crop=${w}:${h}:${left}:${top}`);
+            plan.frame = { width: w, height: h };
+        }
+    },
+    rotate: {
+        video: true,
+        apply: ({ degrees }, plan) => {
+            const angle = ((Number(degrees) % 360) + 360) % 360;
+            const filters = { 90: ['transpose=clock'], 180: ['hflip', 'vflip'], 270: ['transpose=cclock'] }[angle];
+            if (!filters) throw new OperationError('"degrees" debe ser 90, 180 o 270.');
+            plan.videoFilters.push(...filters);
+            if (angle !== 180) plan.frame = { width: plan.frame.height, height: plan.frame.width };
+        }
+    },
+    // Resolución (`width` y/o `height`, el otro lado mantiene la proporción) o tamaño máximo (`maxSizeMB`)
+    scale: {
+        video: true,
+        apply: ({ width, height, maxSizeMB }, plan, ctx) => {
+            if (width === undefined && height === undefined && maxSizeMB === undefined) {
+                throw new OperationError('Indica "width", "height" o "maxSizeMB".');
+            }
+            if (width !== undefined || height !== undefined) {
+                const w = width !== undefined ? even(integer(width, 'width', 16, 8192)) : null;
+                const h = height !== undefined ? even(integer(height, 'height', 16, 8192)) : null;
+                const { width: fw, height: fh } = plan.frame;
+                const longest = Math.max(w || Math.round((h * fw) / fh), h || Math.round((w * fh) / fw));
+                checkTier(longest, 'maxResolution', ctx, `La resolución pedida supera el máximo de tu plan (${ctx.limits.maxResolution} px).`);
+
+                plan.videoFilters.push(`scale=${w || -2}:${h || -2}`);
+                plan.scaled = true;
+            }
+            if (maxSizeMB !== undefined) {
+                if (ctx.outputType === 'image') throw new OperationError('"maxSizeMB" no se aplica a GIF, WebP ni imágenes.');
+                const megabytes = Number(maxSizeMB);
+                if (!(megabytes > 0 && megabytes <= 4096)) throw new OperationError('"maxSizeMB" debe estar entre 0 y 4096.');
+                plan.targetSize = megabytes * 1024 * 1024;
+            }
+        }
+    },
+    fps: {
+        video: true,
+        apply: ({ fps }, plan) => {
+            const rate = Number(fps);
+            if (!(rate >= 1 && rate <= 60)) throw new OperationError('"fps" debe estar entre 1 y 60.');
+            plan.videoFilters.push(`fps=${rate}`);
+        }
+    },
+    mute: {
+        audio: true,
+        apply: (params, plan, { outputType }) => {
+            if (outputType === 'audio') throw new OperationError('No se puede silenciar una salida de sólo audio.');
+            plan.noAudio = true;
+        }
+    },
+    // Sonoridad EBU R128 (filtro loudnorm)
+    normalize: {
+        premium: true,
+        audio: true,
+        apply: (params, plan) => {
+            if (plan.noAudio) throw new OperationError('No se puede normalizar un audio silenciado.');
+            plan.audioFilters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+        }
+    },
+    gif: {
+        output: true,
+        video: true,
+        apply: (params, plan, ctx) => animation('gif', params, plan, ctx)
+    },
+    webp: {
+        premium: true,
+        output: true,
+        video: true,
+        apply: (params, plan, ctx) => animation('webp', params, plan, ctx)
+    },
+    // Un fotograma (`at`) o una hoja de contactos con `count` fotogramas repartidos
+    snapshot: {
+        output: true,
+        video: true,
+        apply: ({ at, count, format = 'jpg' }, plan) => {
+            if (!['jpg', 'png'].includes(format)) throw new OperationError('"format" debe ser jpg o png.');
+            const codecArgs = format === 'jpg' ? ['-c:v', 'mjpeg', '-q:v', '2'] : ['-c:v', 'png'];
+            const output = { format, extension: format, filters: [], palette: false };
+
+            if (count !== undefined) {
+                const frames = integer(count, 'count', 2, 16);
+                if (!plan.duration) throw new OperationError('No se conoce la duración del archivo.', 422);
+                const columns = Math.ceil(Math.sqrt(frames));
+                output.filters.push(`fps=${frames}/${plan.duration.toFixed(3)}`, 'scale=320:-2', `tile=${columns}x${Math.ceil(frames / columns)}`);
+                output.args = ['-frames:v', '1', ...codecArgs, '-f', 'image2'];
+            } else {
+                const time = at === undefined ? (plan.duration || 0) * 0.1 : parseTime(at, 'at');
+                if (plan.duration && time >= plan.duration) throw new OperationError('"at" supera la duración del vídeo.');
+                output.args = ['-ss', time.toFixed(3), '-frames:v', '1', ...codecArgs, '-f', 'image2'];
+            }
+            plan.output = output;
+        }
+    }
+};
+
+const parseOperations = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return [];
+    let list = raw;
+    if (typeof raw === 'string') {
+        try {
+            list = JSON.parse(raw);
+        } catch (e) {
+            throw new OperationError('"operations" no es un JSON válido.');
+        }
+    }
+    if (!Array.isArray(list)) throw new OperationError('"operations" debe ser una lista.');
+    list.forEach(op => {
+        if (!op || typeof op !== 'object' || !definitions[op.type]) {
+            throw new OperationError(`Operación desconocida: ${op && op.type}`);
+        }
+    });
+    return list;
+};
+
+/**
+ * Valida las operaciones pedidas contra el archivo (`media`, de ffprobe),
+ * el formato de salida y el plan del usuario, y devuelve el plan de edición.
+ * Lanza OperationError (400 si no son válidas, 403 si son sólo Premium).
+ */
+const planOperations = (raw, { media, format, isPremium, limits, premiumLimits = null }) => {
+    const list = parseOperations(raw);
+    const types = list.map(op => op.type);
+    const duplicate = types.find((type, i) => types.indexOf(type) !== i);
+    if (duplicate) throw new OperationError(`La operación "${duplicate}" aparece más de una vez.`);
+    const outputs = types.filter(type => definitions[type].output);
+    if (outputs.length > 1) throw new OperationError(`No se pueden combinar ${outputs.join(' y ')}.`);
+
+    // Las salidas GIF/WebP/imagen sustituyen al formato elegido
+    const outputType = outputs.length ? 'image' : presets.formatTypeOf(format);
+    const plan = {
+        operations: ORDER.filter(type => types.includes(type)),
+        inputArgs: [],
+        videoFilters: [],
+        audioFilters: [],
+        noAudio: false,
+        scaled: false,
+        targetSize: null,
+        output: null,
+        duration: media.duration,
+        frame: media.video ? { width: media.video.width, height: media.video.height } : null
+    };
+    const ctx = { media, isPremium, limits, premiumLimits, outputType };
+
+    plan.operations.forEach(type => {
+        const definition = definitions[type];
+        if (definition.premium && !isPremium) {
+            throw new OperationError(`La operación "${type}" es exclusiva de Premium.`, 403);
+        }
+        if (definition.video && !media.video) throw new OperationError(`"${type}" necesita un archivo con vídeo.`);
+        if (definition.video && outputType === 'audio') throw new OperationError(`"${type}" no se puede aplicar a una salida de audio.`);
+        if (definition.audio && (!media.audio || outputType === 'image')) {
+            throw new OperationError(`"${type}" necesita una pista de audio en el archivo y en la salida.`);
+        }
+        definition.apply(list.find(op => op.type === type), plan, ctx);
+    });
+    return plan;
+};
+
+// Tasa de vídeo para no pasar de `targetSize`, descontando el audio y ~3% de contenedor
+const targetVideoBitrate = (plan, preset, media) => {
+    if (!plan.duration) throw new OperationError('No se conoce la duración: no se puede ajustar a un tamaño.', 422);
+    const audio = plan.noAudio || !media.audio ? 0 : audioBitrate(preset.audio, media.audio);
+    const bitrate = Math.floor((plan.targetSize * 8 * 0.97) / plan.duration - audio);
+    if (bitrate < 50000) {
+        throw new OperationError('El tamaño pedido es demasiado pequeño para esa duración. Recorta el vídeo o pide más MB.', 422);
+    }
+    return bitrate;
+};
+
+/**
+ * Argumentos de ffmpeg del plan. Sin operación de salida se delega en el
+ * preset (`preset` es obligatorio); con GIF/WebP/imagen, el preset se ignora.
+ */
+const buildArgs = ({ plan, preset, media, inputPath, outputPath }) => {
+    if (!plan.output) {
+        const edits = plan.targetSize ? { ...plan, videoBitrate: targetVideoBitrate(plan, preset, media) } : plan;
+        return presets.buildArgs(preset, inputPath, outputPath, edits);
+    }
+
+    let graph = [...plan.videoFilters, ...plan.output.filters].join(',');
+    if (plan.output.palette) graph += ',split[a][b];[a]palettegen[p];[b][p]paletteuse';
+    return [...plan.inputArgs, '-i', inputPath, ...(graph ? ['-vf', graph] : []), '-an', ...plan.output.args, outputPath];
+};
+
+const listOperations = () => ORDER.map(type => ({
+    type,
+    premium: Boolean(definitions[type].premium),
+    output: Boolean(definitions[type].output)
+}));
+
+module.exports = { OperationError, planOperations, buildArgs, listOperations, parseTime };
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ==========================================
+ * REGISTRO DE PRESETS (FORMATO + CALIDAD)
+ * ==========================================
+ * Cada preset describe de forma declarativa el contenedor, los códecs y
+ * los parámetros de calidad. Las rutas sólo llaman a `resolvePreset` y
+ * `buildArgs`; para añadir presets basta con editar `presets.json`.
+ */
+
+class PresetError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PresetError';
+        this.status = status;
+    }
+}
+
+// Contenedores de salida (`extension` opcional; por defecto, la clave del formato)
+const formats = {
+    mp4: { type: 'video', muxer: 'mp4', extraArgs: ['-movflags', '+faststart'] },
+    mov: { type: 'video', muxer: 'mov', extraArgs: ['-movflags', '+faststart'] },
+    mkv: { type: 'video', muxer: 'matroska', extraArgs: [] },
+    avi: { type: 'video', muxer: 'avi', extraArgs: [] },
+    mp3: { type: 'audio', muxer: 'mp3', extraArgs: [] },
+    wav: { type: 'audio', muxer: 'wav', extraArgs: [] },
+    ogg: { type: 'audio', muxer: 'ogg', extraArgs: [] },
+    flac: { type: 'audio', muxer: 'flac', extraArgs: [] }
+};
+
+const h264 = (crf, maxHeight, speed = 'veryfast') => ({ codec: 'libx264', crf, maxHeight, speed, pixelFormat: 'yuv420p' });
+const xvid = (qscale, maxHeight) => ({ codec: 'mpeg4', tag: 'XVID', qscale, maxHeight });
+
+const presets = new Map();
+
+const defaultPresets = [
+    { format: 'mp4', quality: 'low', video: h264(28, 480), audio: { codec: 'aac', bitrate: '96k' } },
+    { format: 'mp4', quality: 'medium', video: h264(23, 720), audio: { codec: 'aac', bitrate: '128k' } },
+    { format: 'mp4', quality: 'high', video: h264(20, 1080, 'medium'), audio: { codec: 'aac', bitrate: '192k' } },
+    { format: 'mp4', quality: 'ultra', premium: true, video: h264(18, 2160, 'slow'), audio: { codec: 'aac', bitrate: '256k' } },
+
+    { format: 'mov', quality: 'low', video: h264(28, 480), audio: { codec: 'aac', bitrate: '96k' } },
+    { format: 'mov', quality: 'medium', video: h264(23, 720), audio: { codec: 'aac', bitrate: '128k' } },
+    { format: 'mov', quality: 'high', video: h264(20, 1080, 'medium'), audio: { codec: 'aac', bitrate: '192k' } },
+    { format: 'mov', quality: 'ultra', premium: true, video: h264(18, 2160, 'slow'), audio: { codec: 'aac', bitrate: '256k' } },
+
+    { format: 'mkv', quality: 'low', video: h264(28, 480), audio: { codec: 'aac', bitrate: '96k' } },
+    { format: 'mkv', quality: 'medium', video: h264(23, 720), audio: { codec: 'aac', bitrate: '128k' } },
+    { format: 'mkv', quality: 'high', video: h264(20, 1080, 'medium'), audio: { codec: 'aac', bitrate: '192k' } },
+    { format: 'mkv', quality: 'ultra', premium: true, video: h264(18, 2160, 'slow'), audio: { codec: 'flac' } },
+
+    { format: 'avi', quality: 'low', video: xvid(8, 480), audio: { codec: 'libmp3lame', bitrate: '96k' } },
+    { format: 'avi', quality: 'medium', video: xvid(4, 720), audio: { codec: 'libmp3lame', bitrate: '128k' } },
+    { format: 'avi', quality: 'high', video: xvid(2, 1080), audio: { codec: 'libmp3lame', bitrate: '192k' } },
+
+    { format: 'mp3', quality: 'low', audio: { codec: 'libmp3lame', bitrate: '96k' } },
+    { format: 'mp3', quality: 'medium', audio: { codec: 'libmp3lame', bitrate: '192k' } },
+    { format: 'mp3', quality: 'high', audio: { codec: 'libmp3lame', bitrate: '320k' } },
+
+    { format: 'ogg', quality: 'low', audio: { codec: 'libvorbis', qscale: 3 } },
+    { format: 'ogg', quality: 'medium', audio: { codec: 'libvorbis', qscale: 5 } },
+    { format: 'ogg', quality: 'high', audio: { codec: 'libvorbis', qscale: 8 } },
+
+    { format: 'wav', quality: 'low', audio: { codec: 'pcm_s16le', sampleRate: 22050, channels: 1 } },
+    { format: 'wav', quality: 'medium', audio: { codec: 'pcm_s16le', sampleRate: 44100 } },
+    { format: 'wav', quality: 'high', audio: { codec: 'pcm_s16le', sampleRate: 48000 } },
+    { format: 'wav', quality: 'lossless', premium: true, audio: { codec: 'pcm_s24le', sampleRate: 48000 } },
+
+    { format: 'flac', quality: 'lossless', premium: true, audio: { codec: 'flac', compressionLevel: 8 } }
+];
+
+const keyOf = (format, quality) => `${format}:${quality}`;
+
+/**
+ * Registra (o reemplaza) un preset. Valida que el formato exista y que el
+ * tipo de contenedor encaje con las pistas declaradas.
+ */
+const registerPreset = (preset) => {
+    const format = formats[preset.format];
+    if (!format) throw new PresetError(`Formato desconocido en preset: ${preset.format}`);
+    if (!preset.quality) throw new PresetError(`El preset de ${preset.format} no indica calidad.`);
+    if (!preset.audio || !preset.audio.codec) throw new PresetError(`El preset ${keyOf(preset.format, preset.quality)} no define audio.`);
+    if (format.type === 'video' && !(preset.video && preset.video.codec)) {
+        throw new PresetError(`El preset ${keyOf(preset.format, preset.quality)} no define vídeo.`);
+    }
+    presets.set(keyOf(preset.format, preset.quality), { premium: false, ...preset });
+};
+
+/**
+ * Carga formatos y presets adicionales desde un JSON con la forma
+ * `{ "formats": { ... }, "presets": [ ... ] }`. Si el fichero no existe no hace nada.
+ */
+const loadPresetFile = (file) => {
+    if (!fs.existsSync(file)) return;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.assign(formats, data.formats || {});
+    (data.presets || []).forEach(registerPreset);
+};
+
+defaultPresets.forEach(registerPreset);
+loadPresetFile(process.env.PRESETS_FILE || path.join(__dirname, '..', 'presets.json'));
+
+/**
+ * Devuelve el preset para (formato, calidad) o lanza un PresetError
+ * (400 si no existe, 403 si es sólo Premium y el usuario no lo es).
+ */
+const resolvePreset = (format, quality, isPremium) => {
+    if (!formats[format]) throw new PresetError(`Formato de salida no soportado: ${format}`);
+    const preset = presets.get(keyOf(format, quality));
+    if (!preset) {
+        const available = listPresets().filter(p => p.format === format).map(p => p.quality).join(', ');
+        throw new PresetError(`La calidad "${quality}" no está disponible para ${format.toUpperCase()}. Opciones: ${available}.`);
+    }
+    if (preset.premium && !isPremium) {
+        throw new PresetError(`La calidad "${quality}" para ${format.toUpperCase()} es exclusiva de Premium.`, 403);
+    }
+    return preset;
+};
+
+const listPresets = () => Array.from(presets.values()).map(p => ({
+    format: p.format,
+    quality: p.quality,
+    type: formats[p.format].type,
+    premium: p.premium
+}));
+
+const videoArgs = (video, edits) => {
+    const args = ['-c:v', video.codec];
+    if (video.tag) args.push('-vtag', video.tag);
+    if (edits.videoBitrate) {
+        // Tamaño objetivo: la tasa fija sustituye al modo de calidad del preset
+        const kbps = Math.floor(edits.videoBitrate / 1000);
+        args.push('-b:v', `${kbps}k`, '-maxrate', `${kbps}k`, '-bufsize', `${kbps * 2}k`);
+    } else {
+        if (video.crf !== undefined) args.push('-crf', String(video.crf));
+        if (video.qscale !== undefined) args.push('-qscale:v', String(video.qscale));
+        if (video.bitrate) args.push('-b:v', video.bitrate);
+    }
+    if (video.speed) args.push('-preset', video.speed);
+    if (video.pixelFormat) args.push('-pix_fmt', video.pixelFormat);
+
+    // Si el usuario elige la resolución, no se aplica el tope de altura de la calidad
+    const filters = [...(edits.videoFilters || [])];
+    if (video.maxHeight && !edits.scaled) filters.push(`scale=-2:'min(${video.maxHeight},ih)'`);
+    if (filters.length) args.push('-vf', filters.join(','));
+    return args;
+};
+
+const audioArgs = (audio, edits) => {
+    const args = ['-c:a', audio.codec];
+    if (edits.audioFilters && edits.audioFilters.length) args.push('-af', edits.audioFilters.join(','));
+    if (audio.bitrate) args.push('-b:a', audio.bitrate);
+    if (audio.qscale !== undefined) args.push('-q:a', String(audio.qscale));
+    if (audio.sampleRate) args.push('-ar', String(audio.sampleRate));
+    if (audio.channels) args.push('-ac', String(audio.channels));
+    if (audio.compressionLevel !== undefined) args.push('-compression_level', String(audio.compressionLevel));
+    return args;
+};
+
+/**
+ * Argumentos de ffmpeg para convertir `inputPath` en `outputPath` con el
+ * preset dado. Los formatos de audio descartan la pista de vídeo (-vn).
+ * `edits` son las operaciones de edición ya resueltas (ver lib/operations.js):
+ * `inputArgs`, `videoFilters`, `audioFilters`, `scaled`, `videoBitrate` y `noAudio`.
+ */
+const buildArgs = (preset, inputPath, outputPath, edits = {}) => {
+    const format = formats[preset.format];
+    const args = [...(edits.inputArgs || []), '-i', inputPath];
+
+    if (format.type === 'audio') args.push('-vn');
+    else args.push(...videoArgs(preset.video, edits));
+
+    if (edits.noAudio) args.push('-an');
+    else args.push(...audioArgs(preset.audio, edits));
+
+    args.push(...format.extraArgs, '-f', format.muxer, outputPath);
+    return args;
+};
+
+const formatTypeOf = (format) => (formats[format] ? formats[format].type : null);
+
+const extensionOf = (preset) => formats[preset.format].extension || preset.format;
+
+module.exports = {
+    PresetError,
+    registerPreset,
+    loadPresetFile,
+    resolvePreset,
+    listPresets,
+    buildArgs,
+    extensionOf,
+    formatTypeOf
+};
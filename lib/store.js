@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * ==========================================
+ * PERSISTENCIA (USUARIOS, PREMIUM Y USO)
+ * ==========================================
+ * Única fuente de verdad para los derechos Premium, el contador diario de
+ * conversiones y el historial. La interfaz es síncrona (como better-sqlite3),
+ * de modo que un driver SQL puede registrarse con `registerDriver` sin
+ * cambiar las rutas. Por defecto se usa un fichero JSON en `data/`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+const nextReset = (now = Date.now()) => new Date(Math.floor(now / DAY_MS) * DAY_MS + DAY_MS);
+
+const emptyData = () => ({
+    users: {},
+    usage: {},
+    history: [],
+    payments: [],
+    daily: {},
+    loginTokens: {},
+    sessions: {},
+    processedEvents: {},
+    apiKeys: {}
+});
+
+class MemoryStore {
+    constructor({ historyLimit = 5000 } = {}) {
+        this.historyLimit = historyLimit;
+        this.data = emptyData();
+    }
+
+    // Los drivers persistentes sobrescriben este método
+    _changed() {}
+
+    /**
+     * Sólo las cuentas con email son usuarios. El uso de IPs anónimas y de
+     * claves de API vive únicamente en `usage`; los registros sin email que
+     * dejaron versiones anteriores se ignoran.
+     */
+    _accounts() {
+        return Object.values(this.data.users).filter(user => user.email);
+    }
+
+    getUser(id) {
+        return this.data.users[id] || null;
+    }
+
+    countUsers() {
+        return this._accounts().length;
+    }
+
+    // Usuarios con su uso de hoy, los más recientes primero
+    listUsers() {
+        return this._accounts()
+            .map(user => ({ ...user, isPremium: this.isPremium(user.id), usage: this.getUsage(user.id) }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // --- Cuentas ---
+
+    createUser({ email }) {
+        const id = crypto.randomUUID();
+        const user = { id, createdAt: Date.now(), premium: null, email, stripeCustomerId: null };
+        this.data.users[id] = user;
+        this._changed();
+        return user;
+    }
+
+    updateUser(id, fields) {
+        const user = this.data.users[id];
+        if (!user) return null;
+        Object.assign(user, fields);
+        this._changed();
+        return user;
+    }
+
+    findUserByEmail(email) {
+        return Object.values(this.data.users).find(user => user.email === email) || null;
+    }
+
+    findUserByCustomer(customerId) {
+        return Object.values(this.data.users).find(user => user.stripeCustomerId === customerId) || null;
+    }
+
+    // --- Enlaces de acceso y sesiones ---
+
+    putLoginToken(hash, record) {
+        this.data.loginTokens[hash] = record;
+        this._changed();
+    }
+
+    // Los enlaces son de un solo uso: se borran al consultarlos
+    takeLoginToken(hash) {
+        const record = this.data.loginTokens[hash];
+        if (!record) return null;
+        delete this.data.loginTokens[hash];
+        this._changed();
+        return record.expiresAt > Date.now() ? record : null;
+    }
+
+    putSession(id, record) {
+        this.data.sessions[id] = record;
+        this._changed();
+    }
+
+    getSession(id) {
+        const session = this.data.sessions[id];
+        return session && session.expiresAt > Date.now() ? session : null;
+    }
+
+    deleteSession(id) {
+        delete this.data.sessions[id];
+        this._changed();
+    }
+
+    // --- Claves de API ---
+
+    createApiKey(record) {
+        this.data.apiKeys[record.id] = { createdAt: Date.now(), lastUsedAt: null, revokedAt: null, ...record };
+        this._changed();
+        return this.data.apiKeys[record.id];
+    }
+
+    getApiKey(id) {
+        return this.data.apiKeys[id] || null;
+    }
+
+    updateApiKey(id, fields) {
+        const key = this.data.apiKeys[id];
+        if (!key) return null;
+        Object.assign(key, fields);
+        this._changed();
+        return key;
+    }
+
+    // Las más recientes primero
+    listApiKeys() {
+        return Object.values(this.data.apiKeys).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // --- Webhooks procesados (idempotencia) ---
+
+    hasProcessedEvent(id) {
+        return Boolean(this.data.processedEvents[id]);
+    }
+
+    recordProcessedEvent(id, record) {
+        this.data.processedEvents[id] = { processedAt: Date.now(), ...record };
+        this._changed();
+    }
+
+    // Borra enlaces, sesiones y eventos caducados, y el uso de días anteriores
+    pruneExpired(now = Date.now()) {
+        [this.data.loginTokens, this.data.sessions, this.data.processedEvents].forEach(collection => {
+            Object.keys(collection).forEach(key => {
+                if (collection[key].expiresAt <= now) delete collection[key];
+            });
+        });
+        Object.keys(this.data.usage).forEach(id => {
+            if (this.data.usage[id].date !== today(now)) delete this.data.usage[id];
+        });
+        this._changed();
+    }
+
+    // --- Premium ---
+
+    isPremium(id) {
+        const user = this.data.users[id];
+        if (!user || !user.premium) return false;
+        return !user.premium.expiresAt || user.premium.expiresAt > Date.now();
+    }
+
+    /**
+     * Concede (o renueva) Premium a una cuenta existente; devuelve null si
+     * no existe. `expiresAt` nulo significa sin caducidad.
+     */
+    setPremium(id, { purchasedAt = Date.now(), expiresAt = null, source = 'manual', reference = null } = {}) {
+        const user = this.data.users[id];
+        if (!user) return null;
+        user.premium = { purchasedAt, expiresAt, source, reference };
+        this._changed();
+        return user.premium;
+    }
+
+    revokePremium(id) {
+        const user = this.data.users[id];
+        if (!user || !user.premium) return false;
+        user.premium = null;
+        this._changed();
+        return true;
+    }
+
+    listPremium() {
+        return this._accounts().filter(user => this.isPremium(user.id));
+    }
+
+    // --- Cuota diaria ---
+
+    getUsage(id) {
+        const usage = this.data.usage[id];
+        if (!usage || usage.date !== today()) return { date: today(), conversions: 0 };
+        return { ...usage };
+    }
+
+    incrementUsage(id) {
+        const usage = this.getUsage(id);
+        usage.conversions++;
+        this.data.usage[id] = usage;
+        this._changed();
+        return usage;
+    }
+
+    resetUsage(id) {
+        delete this.data.usage[id];
+        this._changed();
+    }
+
+    // --- Historial ---
+
+    addHistory(entry) {
+        this.data.history.push({ createdAt: Date.now(), ...entry });
+        if (this.data.history.length > this.historyLimit) {
+            this.data.history.splice(0, this.data.history.length - this.historyLimit);
+        }
+        this._changed();
+    }
+
+    // Entradas más recientes primero
+    listHistory({ userId, limit = 50 } = {}) {
+        const entries = userId ? this.data.history.filter(e => e.userId === userId) : this.data.history;
+        return entries.slice(-limit).reverse();
+    }
+
+    countConversions() {
+        return Object.values(this.data.daily).reduce((total, day) => total + (day.conversions || 0), 0);
+    }
+
+    // --- Pagos ---
+
+    /**
+     * Registra un cobro (o un reembolso, con `amount` negativo) en céntimos.
+     */
+    addPayment(payment) {
+        const entry = { createdAt: Date.now(), ...payment };
+        this.data.payments.push(entry);
+        this.bumpDaily('revenue', entry.amount, entry.createdAt);
+        return entry;
+    }
+
+    listPayments() {
+        return this.data.payments.slice().reverse();
+    }
+
+    // --- Agregados diarios (no se recortan como el historial) ---
+
+    bumpDaily(field, amount = 1, at = Date.now()) {
+        const day = this.data.daily[today(at)] || (this.data.daily[today(at)] = { conversions: 0, failed: 0, revenue: 0 });
+        day[field] = (day[field] || 0) + amount;
+        this._changed();
+    }
+
+    // Serie de los últimos `days` días, incluidos los días sin actividad
+    getDailySeries(days = 30, now = Date.now()) {
+        const series = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = today(now - i * DAY_MS);
+            series.push({ date, conversions: 0, failed: 0, revenue: 0, ...this.data.daily[date] });
+        }
+        return series;
+    }
+}
+
+/**
+ * Guarda todo el estado en un JSON. Las escrituras se agrupan en el mismo
+ * tick y se hacen sobre un fichero temporal que luego se renombra.
+ */
+class FileStore extends MemoryStore {
+    constructor({ file, ...options }) {
+        super(options);
+        this.file = file;
+        this.saveScheduled = false;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (fs.existsSync(file)) {
+            this.data = { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+        process.on('exit', () => this.flush());
+    }
+
+    _changed() {
+        if (this.saveScheduled) return;
+        this.saveScheduled = true;
+        setImmediate(() => this.flush());
+    }
+
+    flush() {
+        if (!this.saveScheduled) return;
+        this.saveScheduled = false;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+const drivers = {
+    memory: (options) => new MemoryStore(options),
+    file: (options) => new FileStore(options)
+};
+
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+const createStore = ({ driver = 'file', ...options } = {}) => {
+    if (!drivers[driver]) throw new Error(`Driver de almacenamiento desconocido: ${driver}`);
+    return drivers[driver](options);
+};
+
+module.exports = { MemoryStore, FileStore, createStore, registerDriver, today, nextReset };
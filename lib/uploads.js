@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * ==========================================
+ * SUBIDAS REANUDABLES POR FRAGMENTOS
+ * ==========================================
+ * Protocolo de offset al estilo tus: se crea una sesión con el tamaño
+ * total, se envían fragmentos con `Upload-Offset` y, si la conexión se
+ * corta, se consulta el offset guardado y se continúa desde ahí. Cada
+ * sesión guarda sus metadatos junto al `.part` para sobrevivir a reinicios.
+ */
+
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// `planLimit` marca los errores que se resuelven con un plan superior (para ofrecer la mejora)
+class UploadError extends Error {
+    constructor(message, status = 400, { planLimit = false } = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.planLimit = planLimit;
+    }
+}
+
+// Cabecera tus `Upload-Checksum: sha256 <base64>`
+const parseChecksumHeader = (header) => {
+    if (!header) return null;
+    const [algorithm, value] = header.trim().split(/\s+/);
+    if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !value) {
+        throw new UploadError('Cabecera Upload-Checksum no válida.', 400);
+    }
+    return { algorithm, value };
+};
+
+const hashFile = (file, algorithm) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(file)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+class UploadManager {
+    constructor({ dir }) {
+        this.dir = dir;
+        this.sessions = new Map();
+        this._restore();
+    }
+
+    /**
+     * Abre una sesión de subida. `maxSize` es el límite del plan del usuario;
+     * `sha256` (hex, opcional) se comprueba con el archivo ensamblado.
+     * `maxSessions` y `maxReserved` limitan las subidas abiertas del mismo
+     * dueño y la suma de sus tamaños declarados, para que nadie llene el disco.
+     */
+    create({ owner, filename, size, sha256 = null, maxSize, maxSessions = Infinity, maxReserved = Infinity }) {
+        size = Number(size);
+        if (!filename || !Number.isInteger(size) || size <= 0) {
+            throw new UploadError('Indica el nombre y el tamaño del archivo.');
+        }
+        if (size > maxSize) throw new UploadError('Archivo demasiado grande.', 413, { planLimit: true });
+        if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) throw new UploadError('El checksum sha256 no es válido.');
+
+        const open = this.sessionsOf(owner);
+        if (open.length >= maxSessions) {
+            throw new UploadError('Tienes demasiadas subidas abiertas. Termina o cancela alguna antes de empezar otra.', 429, { planLimit: true });
+        }
+        if (open.reduce((total, s) => total + s.size, 0) + size > maxReserved) {
+            throw new UploadError('Tus subidas abiertas superan el espacio de tu plan. Termina o cancela alguna antes de empezar otra.', 413, { planLimit: true });
+        }
+
+        const id = crypto.randomUUID();
+        const session = {
+            id,
+            owner,
+            filename: path.basename(String(filename)),
+            size,
+            sha256: sha256 ? sha256.toLowerCase() : null,
+            offset: 0,
+            complete: false,
+            path: path.join(this.dir, `upload-${id}.part`),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        fs.writeFileSync(session.path, '');
+        this.sessions.set(id, session);
+        this._save(session);
+        return session;
+    }
+
+    get(id, owner) {
+        const session = this.sessions.get(id);
+        if (!session || session.owner !== owner) throw new UploadError('Subida no encontrada.', 404);
+        return session;
+    }
+
+    /**
+     * Escribe en disco el fragmento que llega por `stream` a partir de
+     * `offset`. Corta la subida en cuanto supera el tamaño declarado o
+     * `maxSize`. Con `checksum` el fragmento se descarta si no coincide; sin
+     * él, lo recibido antes de un corte se conserva para reanudar.
+     */
+    appendChunk(session, stream, { offset, checksum = null, maxSize }) {
+        if (session.complete) return Promise.reject(new UploadError('La subida ya está completa.', 409));
+        if (session.busy) return Promise.reject(new UploadError('Ya se está recibiendo un fragmento de esta subida.', 409));
+        if (offset !== session.offset) {
+            return Promise.reject(new UploadError(`Upload-Offset no coincide (esperado ${session.offset}).`, 409));
+        }
+        // Un cuerpo ya leído no emitiría 'end' ni 'close' y la sesión quedaría ocupada para siempre
+        if (stream.readableEnded || stream.destroyed) {
+            return Promise.reject(new UploadError('El cuerpo de la petición ya se ha leído.', 400));
+        }
+
+        const limit = Math.min(session.size, maxSize);
+        const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+        const out = fs.createWriteStream(session.path, { flags: 'r+', start: offset });
+        let received = 0;
+        session.busy = true;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const settle = (err, keepBytes) => {
+                if (settled) return;
+                settled = true;
+                stream.removeListener('data', onData);
+                const commit = () => {
+                    session.busy = false;
+                    if (keepBytes) {
+                        session.offset += received;
+                        session.updatedAt = Date.now();
+                    }
+                    fs.truncate(session.path, session.offset, () => {
+                        this._save(session);
+                        if (err) return reject(err);
+                        resolve(session);
+                    });
+                };
+                if (out.writableFinished || out.destroyed) commit();
+                else out.end(commit);
+            };
+
+            const onData = (chunk) => {
+                received += chunk.length;
+                if (offset + received > limit) {
+                    const error = offset + received > session.size
+                        ? new UploadError('El fragmento supera el tamaño declarado.', 413)
+                        : new UploadError('Archivo demasiado grande.', 413, { planLimit: true });
+                    received -= chunk.length;
+                    stream.pause();
+                    return settle(error, !checksum);
+                }
+                if (hash) hash.update(chunk);
+                if (!out.write(chunk)) {
+                    stream.pause();
+                    out.once('drain', () => stream.resume());
+                }
+            };
+
+            stream.on('data', onData);
+            stream.on('error', () => settle(new UploadError('Conexión interrumpida.', 400), !checksum));
+            stream.on('close', () => {
+                if (!stream.readableEnded) settle(new UploadError('Conexión interrumpida.', 400), !checksum);
+            });
+            stream.on('end', () => {
+                if (hash && hash.digest('base64') !== checksum.value) {
+                    return settle(new UploadError('El checksum del fragmento no coincide.', 460), false);
+                }
+                settle(null, true);
+            });
+            out.on('error', (err) => settle(new UploadError(`No se pudo escribir el fragmento: ${err.message}`, 500), false));
+        }).then(session => (session.offset === session.size ? this._finalize(session) : session));
+    }
+
+    // Verifica el archivo ensamblado contra el sha256 declarado al crear la sesión
+    async _finalize(session) {
+        if (session.sha256) {
+            const actual = await hashFile(session.path, 'sha256');
+            if (actual !== session.sha256) {
+                this.remove(session.id);
+                throw new UploadError('El checksum del archivo no coincide. Vuelve a subirlo.', 460);
+            }
+        }
+        session.complete = true;
+        this._save(session);
+        return session;
+    }
+
+    /**
+     * Entrega el archivo completo para convertirlo y cierra la sesión. El
+     * archivo pasa a ser responsabilidad del trabajo.
+     */
+    take(id, owner) {
+        const session = this.get(id, owner);
+        if (!session.complete) throw new UploadError('La subida todavía no está completa.', 409);
+        this.sessions.delete(id);
+        fs.unlink(this._metaPath(id), () => {});
+        return { path: session.path, originalname: session.filename, size: session.size };
+    }
+
+    // Subidas abiertas (incompletas o completas sin convertir) de `owner`
+    sessionsOf(owner) {
+        return [...this.sessions.values()].filter(session => session.owner === owner);
+    }
+
+    remove(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+        this.sessions.delete(id);
+        fs.unlink(session.path, () => {});
+        fs.unlink(this._metaPath(id), () => {});
+        return true;
+    }
+
+    // Borra las subidas sin actividad desde `threshold`
+    collectGarbage(threshold) {
+        for (const session of this.sessions.values()) {
+            if (!session.busy && session.updatedAt < threshold) this.remove(session.id);
+        }
+    }
+
+    view(session) {
+        return {
+            uploadId: session.id,
+            filename: session.filename,
+            size: session.size,
+            offset: session.offset,
+            complete: session.complete
+        };
+    }
+
+    _metaPath(id) {
+        return path.join(this.dir, `upload-${id}.json`);
+    }
+
+    _save(session) {
+        const { busy, ...data } = session;
+        fs.writeFileSync(this._metaPath(session.id), JSON.stringify(data));
+    }
+
+    _restore() {
+        fs.readdirSync(this.dir)
+            .filter(f => /^upload-.+\.json$/.test(f))
+            .forEach(f => {
+                try {
+                    const session = JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'));
+                    if (!fs.existsSync(session.path)) return fs.unlinkSync(path.join(this.dir, f));
+                    // El último fragmento pudo quedar a medias: se confía en lo que hay en disco
+                    session.offset = Math.min(session.size, fs.statSync(session.path).size);
+                    this.sessions.set(session.id, session);
+                } catch (e) {
+                    console.warn(`Subida corrupta ignorada: ${f}`);
+                }
+            });
+    }
+}
+
+module.exports = { UploadManager, UploadError, parseChecksumHeader };
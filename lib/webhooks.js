@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { Agent, fetch } = require('undici');
+
+/**
+ * ==========================================
+ * WEBHOOKS DE FINALIZACIÓN
+ * ==========================================
+ * Avisa a la `callbackUrl` de un trabajo cuando termina. El cuerpo se firma
+ * con HMAC-SHA256 sobre `<timestamp>.<cuerpo>` y la firma viaja en
+ * `X-Webhook-Signature: t=<timestamp>,v1=<hex>`. Las respuestas que no son
+ * 2xx (o los errores de red) se reintentan con espera exponencial.
+ *
+ * Las `callbackUrl` las elige el cliente, así que no se envía nada a
+ * direcciones privadas, de loopback, link-local (metadatos de la nube) ni
+ * reservadas, salvo a los hosts de `allowedHosts`. La comprobación se repite
+ * al abrir la conexión, sobre la dirección a la que se conecta de verdad,
+ * para que un DNS que cambia entre la comprobación y el envío (DNS
+ * rebinding) no sirva para saltársela.
+ */
+
+// Rangos a los que nunca se envían webhooks (RFC 6890 y similares). No se
+// incluye ::ffff:0:0/96: BlockList compara las IPv4 mapeadas en IPv6 con los
+// rangos IPv4, y bloquear ese rango bloquearía también todas las IPv4.
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'], ['198.18.0.0', 15, 'ipv4'], ['198.51.100.0', 24, 'ipv4'], ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'], ['::1', 128, 'ipv6'], ['64:ff9b::', 96, 'ipv6'],
+    ['100::', 64, 'ipv6'], ['2001:db8::', 32, 'ipv6'], ['fc00::', 7, 'ipv6'], ['fe80::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+];
+
+const blocked = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blocked.addSubnet(address, prefix, type));
+
+const isBlocked = ({ address, family }) => blocked.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+
+class WebhookUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookUrlError';
+        this.status = 400;
+    }
+}
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, body, now = Date.now()) => {
+    const timestamp = Math.floor(now / 1000);
+    return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+};
+
+/**
+ * Comprueba una firma recibida (para los receptores). Rechaza las firmas
+ * con más de `tolerance` segundos para evitar reenvíos.
+ */
+const verifySignature = (secret, body, header, { tolerance = 300, now = Date.now() } = {}) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(pair => pair.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > tolerance) return false;
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+class WebhookDispatcher extends EventEmitter {
+    constructor({ maxAttempts = 6, baseDelay = 10000, timeout = 10000, allowedHosts = [], lookup = dns.promises.lookup } = {}) {
+        super();
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.timeout = timeout;
+        this.allowedHosts = allowedHosts.map(host => host.toLowerCase());
+        this.lookup = lookup;
+        // fetch se conecta a las direcciones que devuelve `_connectLookup`, ya comprobadas
+        this.agent = new Agent({ connect: { lookup: (hostname, options, callback) => this._connectLookup(hostname, options, callback) } });
+    }
+
+    /**
+     * Comprueba que `url` es http(s) y que su host no resuelve a ninguna
+     * dirección bloqueada. Lanza WebhookUrlError (400) si no se puede usar.
+     */
+    async checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw new WebhookUrlError('callbackUrl debe ser una URL http o https.');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) throw new WebhookUrlError('callbackUrl debe ser una URL http o https.');
+        if (parsed.username || parsed.password) throw new WebhookUrlError('callbackUrl no puede llevar credenciales.');
+
+        await this._resolve(parsed.hostname.replace(/^\[|\]$/g, ''));
+    }
+
+    // Resuelve `host` y lanza WebhookUrlError si alguna dirección está bloqueada (salvo en `allowedHosts`)
+    async _resolve(host, options = {}) {
+        host = host.toLowerCase();
+        let addresses;
+        try {
+            addresses = await this.lookup(host, { ...options, all: true });
+        } catch (e) {
+            throw new WebhookUrlError(`No se pudo resolver el host de callbackUrl (${host}).`);
+        }
+        if (this.allowedHosts.includes(host)) return addresses;
+        if (!addresses.length || addresses.some(isBlocked)) {
+            throw new WebhookUrlError('callbackUrl apunta a una dirección privada o reservada.');
+        }
+        return addresses;
+    }
+
+    // `lookup` para net/tls.connect: con `all` (autoSelectFamily) devuelve la lista, si no la primera dirección
+    _connectLookup(hostname, options, callback) {
+        this._resolve(hostname, { family: options.family, hints: options.hints }).then(
+            addresses => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)),
+            callback
+        );
+    }
+
+    /**
+     * Envía `payload` como evento `event`. Devuelve la entrega, cuyo estado
+     * (`pending`, `delivered` o `failed`) se actualiza con cada intento. El
+     * id de la entrega se mantiene en los reintentos para deduplicar.
+     */
+    send({ url, secret, event, payload }) {
+        const id = crypto.randomUUID();
+        const delivery = {
+            id,
+            url,
+            event,
+            secret,
+            body: JSON.stringify({ id, event, createdAt: new Date().toISOString(), data: payload }),
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: null,
+            deliveredAt: null
+        };
+        this._attempt(delivery);
+        return delivery;
+    }
+
+    // Estado de la entrega sin el cuerpo ni el secreto
+    view(delivery) {
+        if (!delivery) return null;
+        const { secret, body, ...rest } = delivery;
+        return rest;
+    }
+
+    async _attempt(delivery) {
+        delivery.attempts++;
+        delivery.nextAttemptAt = null;
+        try {
+            // Se vuelve a comprobar en cada intento: el DNS del host puede haber cambiado desde que se aceptó
+            await this.checkUrl(delivery.url);
+        } catch (e) {
+            delivery.lastError = e.message;
+            delivery.status = 'failed';
+            this.emit('failed', delivery);
+            return;
+        }
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'VideoConverterPro-Webhooks/1',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Signature': signatureHeader(delivery.secret, delivery.body)
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeout),
+                dispatcher: this.agent
+            });
+            if (response.ok) {
+                delivery.status = 'delivered';
+                delivery.deliveredAt = Date.now();
+                this.emit('delivered', delivery);
+                return;
+            }
+            delivery.lastError = `HTTP ${response.status}`;
+        } catch (e) {
+            delivery.lastError = e.message;
+            // La dirección resuelta al conectar estaba bloqueada: no tiene sentido reintentar
+            if (e.cause instanceof WebhookUrlError) {
+                delivery.lastError = e.cause.message;
+                delivery.status = 'failed';
+                this.emit('failed', delivery);
+                return;
+            }
+        }
+
+        if (delivery.attempts >= this.maxAttempts) {
+            delivery.status = 'failed';
+            this.emit('failed', delivery);
+            return;
+        }
+        const delay = this.baseDelay * Math.pow(2, delivery.attempts - 1);
+        delivery.nextAttemptAt = Date.now() + delay;
+        setTimeout(() => this._attempt(delivery), delay).unref();
+    }
+}
+
+module.exports = { WebhookDispatcher, WebhookUrlError, signatureHeader, verifySignature };
@@ -0,0 +1,108 @@
+/**
+ * SHA-256 incremental para las subidas reanudables. `crypto.subtle` no
+ * calcula hashes por partes (obligaría a cargar el archivo entero en
+ * memoria) y no existe fuera de contextos seguros (http://), así que el
+ * conversor usa esta implementación para el checksum del archivo completo
+ * y, cuando hace falta, para el de cada fragmento.
+ *
+ *   const hash = new Sha256();
+ *   hash.update(bytes1).update(bytes2);
+ *   hash.digest(); // Uint8Array(32)
+ */
+(function () {
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    class Sha256 {
+        constructor() {
+            this.state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+            this.block = new Uint8Array(64);
+            this.buffered = 0;
+            this.length = 0;
+            this.w = new Uint32Array(64);
+        }
+
+        update(data) {
+            let i = 0;
+            this.length += data.length;
+            if (this.buffered) {
+                i = Math.min(64 - this.buffered, data.length);
+                this.block.set(data.subarray(0, i), this.buffered);
+                this.buffered += i;
+                if (this.buffered < 64) return this;
+                this._compress(this.block, 0);
+                this.buffered = 0;
+            }
+            for (; i + 64 <= data.length; i += 64) this._compress(data, i);
+            if (i < data.length) {
+                this.block.set(data.subarray(i));
+                this.buffered = data.length - i;
+            }
+            return this;
+        }
+
+        digest() {
+            const bits = this.length * 8;
+            const padding = new Uint8Array((this.buffered < 56 ? 64 : 128) - this.buffered);
+            const view = new DataView(padding.buffer);
+            padding[0] = 0x80;
+            view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+            view.setUint32(padding.length - 4, bits >>> 0);
+            this.update(padding);
+
+            const out = new Uint8Array(32);
+            const outView = new DataView(out.buffer);
+            this.state.forEach((word, i) => outView.setUint32(i * 4, word));
+            return out;
+        }
+
+        _compress(data, offset) {
+            const w = this.w;
+            for (let t = 0; t < 16; t++) {
+                const j = offset + t * 4;
+                w[t] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = this.state;
+            for (let t = 0; t < 64; t++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            const state = this.state;
+            state[0] += a;
+            state[1] += b;
+            state[2] += c;
+            state[3] += d;
+            state[4] += e;
+            state[5] += f;
+            state[6] += g;
+            state[7] += h;
+        }
+    }
+
+    window.Sha256 = Sha256;
+})();
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const auth = require('basic-auth');
 const fs = require('fs');
@@ -9,6 +10,17 @@ const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 const expressLayouts = require('express-ejs-layouts');
 const helmet = require('helmet'); // Módulo que faltaba
+const { JobQueue, STATUS_LABELS } = require('./lib/jobs');
+const presets = require('./lib/presets');
+const { createStore, nextReset } = require('./lib/store');
+const { createMailer } = require('./lib/mailer');
+const { createAuth, normalizeEmail } = require('./lib/auth');
+const { createBilling } = require('./lib/billing');
+const { UploadManager, UploadError, parseChecksumHeader } = require('./lib/uploads');
+const { createInspector, checkLimits, estimateOutputSize } = require('./lib/media');
+const operations = require('./lib/operations');
+const { createApiKeys } = require('./lib/apikeys');
+const { WebhookDispatcher } = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,7 +74,27 @@ const config = {
     freeLimit: 5,           
     freeMaxSize: 100 * 1024 * 1024,       
     premiumMaxSize: 2000 * 1024 * 1024,   
-    cleanupInterval: 3600000 
+    freeMaxOpenUploads: 2,          // subidas reanudables abiertas a la vez
+    premiumMaxOpenUploads: 5,
+    freeMaxReserved: 100 * 1024 * 1024,   // suma de sus tamaños declarados
+    premiumMaxReserved: 4000 * 1024 * 1024,
+    freeMaxDuration: 30 * 60,       // segundos
+    premiumMaxDuration: 6 * 60 * 60,
+    freeMaxResolution: 1920,        // lado mayor, en píxeles
+    premiumMaxResolution: 4096,
+    freeMaxAnimation: 15,           // segundos de GIF/WebP
+    premiumMaxAnimation: 60,
+    apiPremiumDailyLimit: 1000,     // las claves gratuitas usan freeLimit
+    sharedDir: process.env.API_SHARED_DIR || null,
+    webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 10000,
+    // Hosts a los que se permiten webhooks aunque resuelvan a una dirección privada
+    webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+    cleanupInterval: 3600000,
+    maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2,
+    maxQueuedJobs: parseInt(process.env.MAX_QUEUED_JOBS, 10) || 50,
+    premiumDays: 30, // Duración de los pagos únicos anteriores a las suscripciones
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    storeDriver: process.env.STORE_DRIVER || 'file'
 };
 
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -72,30 +104,152 @@ const outputsDir = path.join(__dirname, 'outputs');
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
-let premiumUsers = [];
-const userStats = new Map();
+const jobQueue = new JobQueue({
+    concurrency: config.maxConcurrentJobs,
+    maxQueued: config.maxQueuedJobs
+});
 
-const getUserStats = (ip) => {
-    if (!userStats.has(ip)) userStats.set(ip, { conversions: 0, lastReset: Date.now() });
-    const stats = userStats.get(ip);
-    if (Date.now() - stats.lastReset > 86400000) {
-        stats.conversions = 0;
-        stats.lastReset = Date.now();
-    }
-    return stats;
+const store = createStore({
+    driver: config.storeDriver,
+    file: path.join(config.dataDir, 'store.json')
+});
+
+// Cuota e historial se actualizan al terminar cada trabajo, venga de la ruta que venga
+jobQueue.on('completed', (job) => store.incrementUsage(job.owner));
+
+const accounts = createAuth({
+    store,
+    mailer: createMailer({ transport: process.env.MAIL_TRANSPORT, from: process.env.MAIL_FROM }),
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex')
+});
+if (!process.env.SESSION_SECRET) console.warn('SESSION_SECRET no definido: las sesiones no sobrevivirán a un reinicio.');
+
+const billing = createBilling({
+    stripe,
+    store,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    legacyDays: config.premiumDays
+});
+
+const apiKeys = createApiKeys({ store });
+
+const webhooks = new WebhookDispatcher({ baseDelay: config.webhookRetryDelay, allowedHosts: config.webhookAllowedHosts });
+webhooks.on('failed', (delivery) => console.warn(`Webhook ${delivery.id} a ${delivery.url} descartado tras ${delivery.attempts} intentos: ${delivery.lastError}`));
+
+// Cuotas y trabajos se asocian a la clave de API, a la cuenta si hay sesión o, si no, a la IP
+const identityOf = (req) => {
+    if (req.apiKey) return `apikey:${req.apiKey.id}`;
+    return req.user ? req.user.id : req.ip;
+};
+// Una clave de API tiene el plan de la cuenta a la que pertenece
+const isPremiumRequest = (req) => {
+    const userId = req.apiKey ? req.apiKey.userId : req.user && req.user.id;
+    return Boolean(userId) && store.isPremium(userId);
 };
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+jobQueue.on('done', (job) => {
+    const outputSize = job.state === 'completed' && fs.existsSync(job.outputPath) ? fs.statSync(job.outputPath).size : null;
+    store.addHistory({
+        jobId: job.id,
+        userId: job.owner,
+        originalName: job.meta.originalName,
+        inputFormat: path.extname(job.meta.originalName || '').slice(1).toLowerCase() || null,
+        format: job.meta.format,
+        quality: job.meta.quality,
+        operations: job.meta.operations,
+        size: job.meta.size,
+        outputSize,
+        mediaDuration: job.duration,
+        status: job.state,
+        error: job.error,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    });
+    if (job.state === 'completed') store.bumpDaily('conversions');
+    if (job.state === 'failed') store.bumpDaily('failed');
+});
 
 /**
  * ==========================================
  * LIMITADORES Y MULTER
  * ==========================================
  */
+/**
+ * Conversiones que cuentan para la cuota de hoy: las completadas y las que
+ * siguen en cola o en curso. El uso sólo sube al completar un trabajo, así
+ * que sin los trabajos vivos varias peticiones seguidas pasarían el límite.
+ */
+const usedToday = (owner) => store.getUsage(owner).conversions + jobQueue.liveJobs().filter(job => job.owner === owner).length;
+
+// express-rate-limit lee la cuota del almacén en lugar de llevar su propio contador
+const quotaStore = {
+    increment: (key) => ({ totalHits: usedToday(key) + 1, resetTime: nextReset() }),
+    decrement: () => {},
+    resetKey: (key) => store.resetUsage(key)
+};
+
 const limiter = rateLimit({
     windowMs: 24 * 60 * 60 * 1000, 
     max: config.freeLimit,
-    skip: (req) => premiumUsers.includes(req.ip)
+    store: quotaStore,
+    keyGenerator: identityOf,
+    skip: isPremiumRequest,
+    handler: (req, res) => {
+        const message = 'Has alcanzado el límite diario de conversiones.';
+        if (req.path.startsWith('/api/')) return res.status(429).json({ error: message, upgradeUrl: '/premium' });
+        res.status(429).send(message);
+    }
 });
 
+const apiDailyLimit = (key) => key.dailyLimit || (store.isPremium(key.userId) ? config.apiPremiumDailyLimit : config.freeLimit);
+
+// Cuenta las conversiones completadas hoy y las que la clave tiene en curso
+const apiQuota = (req, res, next) => {
+    const owner = identityOf(req);
+    const limit = apiDailyLimit(req.apiKey);
+    const used = usedToday(owner);
+    res.set({
+        'X-RateLimit-Limit': limit,
+        'X-RateLimit-Remaining': Math.max(0, limit - used),
+        'X-RateLimit-Reset': Math.floor(nextReset().getTime() / 1000)
+    });
+    if (used >= limit) {
+        return res.status(429).json({ error: 'Esta clave ha alcanzado su límite diario de conversiones.', resetAt: nextReset().toISOString() });
+    }
+    next();
+};
+
+// Toda ruta que convierte pasa por aquí: las claves de API con su cuota, el resto con la del plan web
+const conversionQuota = (req, res, next) => (req.apiKey ? apiQuota : limiter)(req, res, next);
+
+class QuotaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuotaError';
+        this.status = 429;
+    }
+}
+
+/**
+ * Comprobación definitiva de la cuota. Los middlewares de arriba sólo
+ * descartan pronto: entre ellos y el encolado hay esperas (multer, ffprobe)
+ * en las que otras peticiones simultáneas también pasan. Se llama sin
+ * `await` entre ella y `jobQueue.add`. `pending` suma reservas que aún no
+ * son trabajos (p. ej. subidas abiertas).
+ */
+const assertQuota = (req, { pending = 0 } = {}) => {
+    const used = usedToday(identityOf(req)) + pending;
+    if (req.apiKey) {
+        if (used >= apiDailyLimit(req.apiKey)) throw new QuotaError('Esta clave ha alcanzado su límite diario de conversiones.');
+    } else if (!isPremiumRequest(req) && used >= config.freeLimit) {
+        throw new QuotaError('Has alcanzado el límite diario de conversiones.');
+    }
+};
+
+// Los límites del plan gratuito se resuelven con Premium; los de una clave de API, no
+const upgradeUrlFor = (req, e) => ((e.status === 403 || (e.status === 429 && !req.apiKey)) ? '/premium' : undefined);
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => cb(null, uploadsDir),
     filename: (req, file, cb) => {
@@ -104,13 +258,143 @@ const storage = multer.diskStorage({
     }
 });
 
-const upload = multer({
-    storage: storage,
-    fileFilter: (req, file, cb) => {
-        const allowed = ['video/mp4', 'video/mpeg', 'video/x-msvideo', 'video/x-matroska', 'audio/mpeg', 'audio/wav'];
-        if (allowed.includes(file.mimetype)) cb(null, true);
-        else cb(new Error('Formato no soportado.'));
+// Un multer por plan: el límite se aplica mientras llega el archivo, no al terminar.
+// El tipo no se filtra aquí (el mimetype lo decide el cliente): lo valida ffprobe
+const uploaders = {
+    free: multer({ storage, limits: { fileSize: config.freeMaxSize } }),
+    premium: multer({ storage, limits: { fileSize: config.premiumMaxSize } })
+};
+
+const maxUploadSize = (req) => (isPremiumRequest(req) ? config.premiumMaxSize : config.freeMaxSize);
+
+/**
+ * Recibe un archivo en el campo `field`. Los errores (formato, tamaño) se
+ * responden en texto o, con `json`, en el formato de la API.
+ */
+const receiveFile = (field, { json = false } = {}) => (req, res, next) => {
+    const uploader = isPremiumRequest(req) ? uploaders.premium : uploaders.free;
+    uploader.single(field)(req, res, (err) => {
+        if (!err) return next();
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        const status = tooLarge ? 413 : 400;
+        const message = tooLarge ? 'Archivo demasiado grande.' : err.message;
+        if (!json) return res.status(status).send(message);
+        res.status(status).json({ error: message, upgradeUrl: tooLarge && !isPremiumRequest(req) ? '/premium' : undefined });
+    });
+};
+
+const uploadManager = new UploadManager({ dir: uploadsDir });
+
+/**
+ * ==========================================
+ * INSPECCIÓN DE ARCHIVOS
+ * ==========================================
+ */
+const inspector = createInspector();
+
+const mediaLimits = {
+    free: { maxDuration: config.freeMaxDuration, maxResolution: config.freeMaxResolution, maxAnimation: config.freeMaxAnimation },
+    premium: { maxDuration: config.premiumMaxDuration, maxResolution: config.premiumMaxResolution, maxAnimation: config.premiumMaxAnimation }
+};
+
+// Analiza el archivo con ffprobe y comprueba los límites del plan
+const inspectFile = async (file, isPremium) => {
+    const media = await inspector.probe(file);
+    if (isPremium) checkLimits(media, mediaLimits.premium);
+    else checkLimits(media, mediaLimits.free, mediaLimits.premium);
+    return media;
+};
+
+// Toma el archivo de una subida reanudable completa si no llegó en multipart
+const takeUpload = (req, res, next) => {
+    if (req.file || !req.body.uploadId) return next();
+    try {
+        req.file = uploadManager.take(String(req.body.uploadId), identityOf(req));
+        next();
+    } catch (e) {
+        res.status(e.status || 400).json({ error: e.message });
+    }
+};
+
+/**
+ * Rechaza (y borra) el archivo recibido si no es un vídeo/audio válido o
+ * supera los límites del plan. Deja el análisis en `req.media`.
+ */
+const inspectUpload = ({ json = false } = {}) => async (req, res, next) => {
+    if (!req.file) return next();
+    try {
+        req.media = await inspectFile(req.file.path, isPremiumRequest(req));
+        next();
+    } catch (e) {
+        fs.unlink(req.file.path, () => {});
+        if (!json) return res.status(e.status || 500).send(e.message);
+        res.status(e.status || 500).json({ error: e.message, upgradeUrl: e.status === 403 ? '/premium' : undefined });
     }
+};
+
+/**
+ * ==========================================
+ * CUENTAS Y SESIONES
+ * ==========================================
+ */
+app.use(accounts.middleware);
+app.use(apiKeys.middleware);
+
+const requireUser = (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Inicia sesión para continuar.', loginUrl: '/login' });
+    next();
+};
+
+// Sólo se aceptan rutas internas como destino tras el login
+const safeNext = (next) => (typeof next === 'string' && /^\/(?!\/)/.test(next) ? next : '/conversor');
+
+const loginLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Demasiadas solicitudes de acceso. Inténtalo más tarde.'
+});
+
+app.get('/login', (req, res) => {
+    res.render('login', { title: 'Iniciar sesión', next: safeNext(req.query.next), sentTo: null, error: null });
+});
+
+app.post('/login', loginLimiter, async (req, res) => {
+    const next = safeNext(req.body.next);
+    try {
+        const sentTo = await accounts.sendLoginLink(req.body.email, baseUrl(req), next);
+        res.render('login', { title: 'Iniciar sesión', next, sentTo, error: null });
+    } catch (e) {
+        res.status(400).render('login', { title: 'Iniciar sesión', next, sentTo: null, error: e.message });
+    }
+});
+
+// El GET no consume el enlace: los escáneres y las vistas previas del correo lo abren antes que el usuario
+app.get('/login/verify', (req, res) => {
+    res.render('login_confirm', { title: 'Iniciar sesión', token: String(req.query.token || '') });
+});
+
+app.post('/login/verify', (req, res) => {
+    const result = accounts.redeemLoginToken(req.body.token);
+    if (!result) {
+        return res.status(400).render('login', {
+            title: 'Iniciar sesión',
+            next: '/conversor',
+            sentTo: null,
+            error: 'El enlace no es válido o ha caducado. Solicita uno nuevo.'
+        });
+    }
+    accounts.startSession(req, res, result.user);
+    res.redirect(safeNext(result.next));
+});
+
+app.post('/logout', (req, res) => {
+    accounts.endSession(req, res);
+    res.redirect('/');
+});
+
+app.get('/account', (req, res) => {
+    if (!req.user) return res.redirect('/login?next=/account');
+    res.render('account', { title: 'Mi cuenta', isPremium: isPremiumRequest(req), message: null });
 });
 
 /**
@@ -118,23 +402,10 @@ const upload = multer({
  * RUTAS DE PAGO (STRIPE)
  * ==========================================
  */
-app.post('/create-checkout-session', async (req, res) => {
-    try {
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: [{
-                price_data: {
-                    currency: 'usd',
-                    product_data: { name: 'Suscripción Premium' },
-                    unit_amount: 999,
-                },
-                quantity: 1,
-            }],
-            mode: 'payment',
-            success_url: `${req.protocol}://${req.get('host')}/success?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${req.protocol}://${req.get('host')}/premium`,
-            client_reference_id: req.ip,
-        });
+app.post('/create-checkout-session', requireUser, async (req, res) => {
+    try {
+        const params = billing.checkoutParams({ planId: req.body.plan, user: req.user, baseUrl: baseUrl(req) });
+        const session = await stripe.checkout.sessions.create(params);
         res.json({ id: session.id });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -142,19 +413,75 @@ app.post('/create-checkout-session', async (req, res) => {
 });
 
 app.post('/stripe-webhook', express.raw({ type: 'application/json' }), (req, res) => {
-    const sig = req.headers['stripe-signature'];
     let event;
     try {
-        event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+        event = billing.constructEvent(req.body, req.headers['stripe-signature']);
     } catch (err) {
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const id = session.client_reference_id || session.customer_email;
-        if (id && !premiumUsers.includes(id)) premiumUsers.push(id);
+    try {
+        const result = billing.handleEvent(event);
+        res.json({ received: true, duplicate: result.duplicate });
+    } catch (err) {
+        // Sin marcar como procesado: Stripe lo reintentará
+        console.error(`Error procesando ${event.type} (${event.id}):`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Llamado desde success.ejs al volver de Checkout
+app.get('/verify-session', requireUser, async (req, res) => {
+    try {
+        const session = await stripe.checkout.sessions.retrieve(String(req.query.session_id || ''));
+        if (session.client_reference_id !== req.user.id) {
+            return res.status(403).json({ success: false, error: 'La sesión de pago no pertenece a esta cuenta.' });
+        }
+        res.json({ success: billing.applyCheckoutSession(req.user, session) });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// Busca en Stripe suscripciones (o pagos únicos antiguos) hechos con el email de la cuenta
+app.post('/restore-purchase', async (req, res) => {
+    if (!req.user) return res.redirect('/login?next=/account');
+    let restored = false;
+    try {
+        const customers = await stripe.customers.list({ email: req.user.email, limit: 10 });
+        for (const customer of customers.data) {
+            const subscriptions = await stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 10 });
+            const latest = subscriptions.data.sort((a, b) => b.created - a.created)[0];
+            if (latest && billing.applySubscription(req.user, latest)) restored = true;
+
+            const sessions = await stripe.checkout.sessions.list({ customer: customer.id, limit: 10 });
+            const payment = sessions.data
+                .filter(s => s.mode === 'payment' && s.payment_status === 'paid')
+                .sort((a, b) => b.created - a.created)[0];
+            if (payment && billing.applyCheckoutSession(req.user, payment)) restored = true;
+        }
+    } catch (e) {
+        return res.status(502).render('account', { title: 'Mi cuenta', isPremium: isPremiumRequest(req), message: `No se pudo consultar Stripe: ${e.message}` });
+    }
+    res.render('account', {
+        title: 'Mi cuenta',
+        isPremium: isPremiumRequest(req),
+        message: restored ? 'Compra restaurada. ¡Vuelves a ser Premium!' : 'No encontramos ninguna compra activa asociada a este email.'
+    });
+});
+
+// Portal de facturación de Stripe: cambiar tarjeta, plan o cancelar
+app.post('/billing-portal', async (req, res) => {
+    if (!req.user) return res.redirect('/login?next=/account');
+    if (!req.user.stripeCustomerId) return res.redirect('/premium');
+    try {
+        const portal = await stripe.billingPortal.sessions.create({
+            customer: req.user.stripeCustomerId,
+            return_url: `${baseUrl(req)}/account`
+        });
+        res.redirect(303, portal.url);
+    } catch (e) {
+        res.status(502).render('account', { title: 'Mi cuenta', isPremium: isPremiumRequest(req), message: `No se pudo abrir el portal: ${e.message}` });
     }
-    res.json({ received: true });
 });
 
 /**
@@ -162,32 +489,555 @@ app.post('/stripe-webhook', express.raw({ type: 'application/json' }), (req, res
  * CONVERSIÓN FFmpeg
  * ==========================================
  */
-app.post('/convert', limiter, upload.single('file'), (req, res) => {
+/**
+ * Resuelve el preset y las operaciones de edición pedidas (`operations`) y
+ * encola la conversión del archivo subido. Lanza PresetError u
+ * OperationError si la petición no es válida o es sólo Premium, y
+ * QuotaError si ya no queda cuota. Es síncrona hasta encolar.
+ */
+const enqueueConversion = (req, isPremium, defaults = {}, extraMeta = {}) => {
+    assertQuota(req);
+    const format = (req.body.format || defaults.format || 'mp4').toLowerCase();
+    const quality = (req.body.quality || defaults.quality || 'medium').toLowerCase();
+    const plan = operations.planOperations(req.body.operations, {
+        media: req.media,
+        format,
+        isPremium,
+        limits: isPremium ? mediaLimits.premium : mediaLimits.free,
+        premiumLimits: isPremium ? null : mediaLimits.premium
+    });
+    // GIF, WebP e imágenes fijas no usan el preset de formato y calidad
+    const preset = plan.output ? null : presets.resolvePreset(format, quality, isPremium);
+    const extension = plan.output ? plan.output.extension : presets.extensionOf(preset);
+
+    // El id del trabajo da un nombre de salida único aunque coincidan dos en el mismo milisegundo
+    const id = crypto.randomUUID();
+    const outputPath = path.join(outputsDir, `converted-${id}.${extension}`);
+    return jobQueue.add({
+        id,
+        owner: identityOf(req),
+        inputPath: req.file.path,
+        outputPath,
+        args: operations.buildArgs({ plan, preset, media: req.media, inputPath: req.file.path, outputPath }),
+        duration: plan.duration,
+        // Los archivos del directorio compartido no son nuestros: no se borran
+        keepInput: Boolean(req.file.shared),
+        meta: {
+            ...extraMeta,
+            originalName: req.file.originalname,
+            size: req.file.size,
+            format: plan.output ? plan.output.format : format,
+            quality: plan.output ? null : quality,
+            operations: plan.operations
+        }
+    });
+};
+
+// Nombre de descarga: el del archivo original con la extensión de salida
+const downloadName = (job) => {
+    const base = path.parse(job.meta.originalName || 'video').name;
+    return `${base}${path.extname(job.outputPath)}`;
+};
+
+// Conversión síncrona: encola el trabajo y mantiene abierta la petición hasta que termina
+app.post('/convert', conversionQuota, receiveFile('file'), inspectUpload(), async (req, res) => {
     if (!req.file) return res.status(400).send('Archivo inválido.');
 
-    const stats = getUserStats(req.ip);
-    const isPremium = premiumUsers.includes(req.ip);
-    const maxAllowed = isPremium ? config.premiumMaxSize : config.freeMaxSize;
+    const isPremium = isPremiumRequest(req);
+    let job;
+    try {
+        // El formulario de la portada no envía formato: se mantiene DivX (AVI)
+        job = enqueueConversion(req, isPremium, { format: 'avi', quality: 'medium' });
+    } catch (e) {
+        fs.unlinkSync(req.file.path);
+        return res.status(e.status || 503).send(e.message);
+    }
+
+    await jobQueue.wait(job);
+    if (job.state === 'completed') {
+        res.download(job.outputPath, downloadName(job));
+    } else {
+        res.status(500).send('Error en conversión.');
+    }
+});
+
+/**
+ * ==========================================
+ * API DE TRABAJOS ASÍNCRONOS
+ * ==========================================
+ */
+const findOwnJob = (req, res, next) => {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job || job.owner !== identityOf(req)) return res.status(404).json({ error: 'Trabajo no encontrado.' });
+    req.job = job;
+    next();
+};
+
+// Acepta el archivo en multipart (campo `video`) o un `uploadId` de una subida reanudable ya completa
+app.post('/api/convert', conversionQuota, receiveFile('video', { json: true }), takeUpload, inspectUpload({ json: true }), (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Archivo inválido.' });
 
-    if (req.file.size > maxAllowed) {
+    const isPremium = isPremiumRequest(req);
+    let job;
+    try {
+        job = enqueueConversion(req, isPremium);
+    } catch (e) {
         fs.unlinkSync(req.file.path);
-        return res.status(400).send('Archivo demasiado grande.');
+        return res.status(e.status || 503).json({
+            error: e.message,
+            upgradeUrl: upgradeUrlFor(req, e)
+        });
     }
 
-    const outputPath = path.join(outputsDir, `converted-${Date.now()}.avi`);
-    const ffmpeg = spawn('ffmpeg', ['-i', req.file.path, '-c:v', 'mpeg4', '-vtag', 'XVID', '-qscale:v', '4', outputPath]);
+    res.status(202).json(jobQueue.view(job));
+});
 
-    ffmpeg.on('close', (code) => {
-        if (code === 0) {
-            stats.conversions++;
-            res.download(outputPath, () => {
-                if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-            });
-        } else {
-            if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-            res.status(500).send('Error en conversión.');
+/**
+ * ==========================================
+ * SUBIDAS REANUDABLES
+ * ==========================================
+ * POST crea la sesión, PATCH añade fragmentos (`Upload-Offset`, y
+ * opcionalmente `Upload-Checksum`), HEAD devuelve el offset para reanudar.
+ */
+const findOwnUpload = (req, res, next) => {
+    try {
+        req.uploadSession = uploadManager.get(req.params.uploadId, identityOf(req));
+        next();
+    } catch (e) {
+        res.status(e.status).json({ error: e.message });
+    }
+};
+
+const uploadErrorResponse = (req, res, e) => {
+    // Si se corta una subida a medias, se cierra la conexión para no seguir recibiendo datos
+    if (e.status === 413) res.set('Connection', 'close');
+    res.status(e.status || 500).json({
+        error: e.message,
+        upgradeUrl: e.planLimit && !isPremiumRequest(req) ? '/premium' : undefined
+    });
+};
+
+// Cada subida abierta reserva una conversión: sin esto se podrían abrir sesiones sin límite
+app.post('/api/uploads', conversionQuota, (req, res) => {
+    const owner = identityOf(req);
+    const isPremium = isPremiumRequest(req);
+    try {
+        assertQuota(req, { pending: uploadManager.sessionsOf(owner).length });
+        const session = uploadManager.create({
+            owner,
+            filename: req.body.filename,
+            size: req.body.size,
+            sha256: req.body.sha256,
+            maxSize: maxUploadSize(req),
+            maxSessions: isPremium ? config.premiumMaxOpenUploads : config.freeMaxOpenUploads,
+            maxReserved: isPremium ? config.premiumMaxReserved : config.freeMaxReserved
+        });
+        res.status(201).set('Location', `/api/uploads/${session.id}`).json(uploadManager.view(session));
+    } catch (e) {
+        uploadErrorResponse(req, res, e);
+    }
+});
+
+app.head('/api/uploads/:uploadId', findOwnUpload, (req, res) => {
+    res.set({
+        'Upload-Offset': req.uploadSession.offset,
+        'Upload-Length': req.uploadSession.size,
+        'Cache-Control': 'no-store'
+    }).end();
+});
+
+app.get('/api/uploads/:uploadId', findOwnUpload, (req, res) => {
+    res.json(uploadManager.view(req.uploadSession));
+});
+
+app.patch('/api/uploads/:uploadId', findOwnUpload, async (req, res) => {
+    // Con otro tipo, express.json/urlencoded ya habría consumido el cuerpo
+    if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({ error: 'Los fragmentos se envían con Content-Type: application/offset+octet-stream.' });
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'Falta la cabecera Upload-Offset.' });
+
+    try {
+        const session = await uploadManager.appendChunk(req.uploadSession, req, {
+            offset,
+            checksum: parseChecksumHeader(req.get('Upload-Checksum')),
+            maxSize: maxUploadSize(req)
+        });
+        res.set('Upload-Offset', session.offset).json(uploadManager.view(session));
+    } catch (e) {
+        uploadErrorResponse(req, res, e);
+    }
+});
+
+app.delete('/api/uploads/:uploadId', findOwnUpload, (req, res) => {
+    uploadManager.remove(req.uploadSession.id);
+    res.status(204).end();
+});
+
+app.get('/api/presets', (req, res) => {
+    res.json(presets.listPresets());
+});
+
+app.get('/api/operations', (req, res) => {
+    res.json(operations.listOperations());
+});
+
+// El análisis no gasta cuota, pero ffprobe cuesta CPU: se limita aparte
+const probeLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 60,
+    keyGenerator: identityOf,
+    handler: (req, res) => res.status(429).json({ error: 'Demasiados análisis. Inténtalo más tarde.' })
+});
+
+/**
+ * Analiza un archivo antes de convertirlo: contenedor, pistas, duración,
+ * miniatura y tamaño estimado de salida para cada preset. Acepta multipart
+ * (campo `video`, se borra al terminar) o el `uploadId` de una subida
+ * completa, que sigue disponible para /api/convert.
+ */
+app.post('/api/probe', probeLimiter, receiveFile('video', { json: true }), async (req, res) => {
+    let file = req.file && req.file.path;
+    if (!file && req.body.uploadId) {
+        try {
+            const session = uploadManager.get(String(req.body.uploadId), identityOf(req));
+            if (!session.complete) return res.status(409).json({ error: 'La subida todavía no está completa.' });
+            file = session.path;
+        } catch (e) {
+            return res.status(e.status || 400).json({ error: e.message });
+        }
+    }
+    if (!file) return res.status(400).json({ error: 'Archivo inválido.' });
+
+    const isPremium = isPremiumRequest(req);
+    try {
+        const media = await inspectFile(file, isPremium);
+        const estimates = presets.listPresets().map(p => ({
+            format: p.format,
+            quality: p.quality,
+            premium: p.premium,
+            available: isPremium || !p.premium,
+            size: estimateOutputSize(media, presets.resolvePreset(p.format, p.quality, true))
+        }));
+        res.json({
+            ...media,
+            thumbnail: await inspector.thumbnail(file, media),
+            estimates,
+            limits: isPremium ? mediaLimits.premium : mediaLimits.free
+        });
+    } catch (e) {
+        res.status(e.status || 500).json({ error: e.message, upgradeUrl: e.status === 403 ? '/premium' : undefined });
+    } finally {
+        if (req.file) fs.unlink(req.file.path, () => {});
+    }
+});
+
+app.get('/api/progress/:jobId', findOwnJob, (req, res) => {
+    res.json(jobQueue.view(req.job));
+});
+
+app.get('/api/download/:jobId', findOwnJob, (req, res) => {
+    if (req.job.state !== 'completed') return res.status(409).json({ error: 'La conversión no ha terminado.' });
+    if (!fs.existsSync(req.job.outputPath)) return res.status(410).json({ error: 'El archivo ya no está disponible.' });
+    res.download(req.job.outputPath, downloadName(req.job));
+});
+
+app.post('/api/cancel/:jobId', findOwnJob, (req, res) => {
+    if (!jobQueue.cancel(req.job.id)) return res.status(409).json({ error: 'El trabajo ya ha terminado.' });
+    res.json(jobQueue.view(req.job));
+});
+
+/**
+ * ==========================================
+ * API PÚBLICA v1 (CLAVES DE API)
+ * ==========================================
+ * API JSON versionada para integraciones de servidor a servidor. Todas las
+ * rutas exigen una clave (`Authorization: Bearer vcp_...`); las rutas de
+ * /api/uploads y /api/probe también la aceptan.
+ */
+const requireApiKey = (req, res, next) => {
+    if (!req.apiKey) return res.status(401).json({ error: 'Falta la clave de API (Authorization: Bearer <clave>).' });
+    next();
+};
+
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+const apiJobView = (job) => {
+    const completed = job.state === 'completed';
+    const { position, progress } = jobQueue.view(job);
+    return {
+        id: job.id,
+        state: job.state,
+        position,
+        progress,
+        error: job.error,
+        input: { name: job.meta.originalName, size: job.meta.size, duration: job.duration },
+        output: {
+            format: job.meta.format,
+            quality: job.meta.quality,
+            operations: job.meta.operations,
+            size: completed && fs.existsSync(job.outputPath) ? fs.statSync(job.outputPath).size : null
+        },
+        callbackUrl: job.meta.callbackUrl || null,
+        webhook: webhooks.view(job.webhook),
+        createdAt: toIso(job.createdAt),
+        startedAt: toIso(job.startedAt),
+        finishedAt: toIso(job.finishedAt),
+        links: {
+            self: `/api/v1/jobs/${job.id}`,
+            download: completed ? `/api/v1/jobs/${job.id}/download` : null
+        }
+    };
+};
+
+/**
+ * Archivo dentro de API_SHARED_DIR para las claves con `sharedPaths`. Se
+ * resuelven los enlaces simbólicos para no salir nunca del directorio.
+ */
+const sharedFile = (relative, req) => {
+    if (!config.sharedDir) throw new UploadError('Este servidor no tiene directorio compartido.', 403);
+    if (!req.apiKey.sharedPaths) throw new UploadError('Esta clave no puede leer del directorio compartido.', 403);
+
+    const root = fs.realpathSync(config.sharedDir);
+    let file = null;
+    try {
+        file = fs.realpathSync(path.resolve(root, String(relative)));
+    } catch (e) {
+        file = null;
+    }
+    if (!file || !file.startsWith(root + path.sep) || !fs.statSync(file).isFile()) {
+        throw new UploadError('Archivo no encontrado en el directorio compartido.', 404);
+    }
+    const { size } = fs.statSync(file);
+    if (size > maxUploadSize(req)) throw new UploadError('Archivo demasiado grande.', 413, { planLimit: true });
+    return { path: file, originalname: path.basename(file), size, shared: true };
+};
+
+// Aviso firmado a la callbackUrl de los trabajos creados con la API
+jobQueue.on('done', (job) => {
+    if (!job.meta.callbackUrl) return;
+    const key = store.getApiKey(job.meta.apiKeyId);
+    if (!key || key.revokedAt) return;
+    job.webhook = webhooks.send({
+        url: job.meta.callbackUrl,
+        secret: key.webhookSecret,
+        event: `job.${job.state}`,
+        payload: apiJobView(job)
+    });
+});
+
+/**
+ * Crea un trabajo a partir de un archivo en multipart (campo `file`), del
+ * `uploadId` de una subida reanudable o de `path` en el directorio
+ * compartido. Acepta `format`, `quality`, `operations` y `callbackUrl`.
+ */
+app.post('/api/v1/jobs', requireApiKey, apiQuota, receiveFile('file', { json: true }), async (req, res) => {
+    const callbackUrl = req.body.callbackUrl ? String(req.body.callbackUrl) : null;
+    const discard = () => {
+        if (req.file && !req.file.shared) fs.unlink(req.file.path, () => {});
+    };
+    if (callbackUrl) {
+        try {
+            await webhooks.checkUrl(callbackUrl);
+        } catch (e) {
+            discard();
+            return res.status(e.status || 400).json({ error: e.message });
         }
+    }
+
+    try {
+        if (!req.file && req.body.uploadId) req.file = uploadManager.take(String(req.body.uploadId), identityOf(req));
+        else if (!req.file && req.body.path) req.file = sharedFile(req.body.path, req);
+    } catch (e) {
+        return res.status(e.status || 400).json({ error: e.message });
+    }
+    if (!req.file) return res.status(400).json({ error: 'Envía el archivo (campo `file`), un `uploadId` o una ruta (`path`).' });
+
+    const isPremium = isPremiumRequest(req);
+    let job;
+    try {
+        req.media = await inspectFile(req.file.path, isPremium);
+        job = enqueueConversion(req, isPremium, {}, { apiKeyId: req.apiKey.id, callbackUrl });
+    } catch (e) {
+        discard();
+        return res.status(e.status || 503).json({ error: e.message, resetAt: e instanceof QuotaError ? nextReset().toISOString() : undefined });
+    }
+
+    res.status(201).location(`/api/v1/jobs/${job.id}`).json(apiJobView(job));
+});
+
+app.get('/api/v1/jobs/:jobId', requireApiKey, findOwnJob, (req, res) => {
+    res.json(apiJobView(req.job));
+});
+
+app.get('/api/v1/jobs/:jobId/download', requireApiKey, findOwnJob, (req, res) => {
+    if (req.job.state !== 'completed') return res.status(409).json({ error: 'La conversión no ha terminado.' });
+    if (!fs.existsSync(req.job.outputPath)) return res.status(410).json({ error: 'El archivo ya no está disponible.' });
+    res.download(req.job.outputPath, downloadName(req.job));
+});
+
+app.delete('/api/v1/jobs/:jobId', requireApiKey, findOwnJob, (req, res) => {
+    if (!jobQueue.cancel(req.job.id)) return res.status(409).json({ error: 'El trabajo ya ha terminado.' });
+    res.json(apiJobView(req.job));
+});
+
+/**
+ * ==========================================
+ * API DE ADMINISTRACIÓN
+ * ==========================================
+ */
+const adminJobView = (job) => ({
+    ...jobQueue.view(job),
+    userId: job.owner,
+    originalName: job.meta.originalName,
+    inputFormat: path.extname(job.meta.originalName || '').slice(1).toLowerCase() || null,
+    format: job.meta.format,
+    quality: job.meta.quality,
+    operations: job.meta.operations,
+    size: job.meta.size,
+    mediaDuration: job.duration,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt
+});
+
+const toCsv = (rows, columns) => {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Nombres de archivo, errores y emails vienen de los usuarios: que la hoja de cálculo
+        // no los evalúe como fórmulas (los importes negativos de los reembolsos se dejan como número)
+        if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n');
+};
+
+const isoDate = (ms) => (ms ? new Date(ms).toISOString() : '');
+
+// Lo que consulta dashboard.ejs cada 30 segundos
+app.get('/stats', adminAuth, (req, res) => {
+    const totalUsers = store.countUsers();
+    const totalConversions = store.countConversions();
+    res.json({
+        totalUsers,
+        totalConversions,
+        activeJobs: jobQueue.activeCount,
+        premiumCount: store.listPremium().length,
+        averagePerUser: totalUsers ? Number((totalConversions / totalUsers).toFixed(2)) : 0,
+        recentConversions: store.listHistory({ limit: 10 }).map(entry => ({
+            filename: entry.originalName,
+            status: STATUS_LABELS[entry.status] || entry.status,
+            timestamp: entry.finishedAt || entry.createdAt
+        }))
+    });
+});
+
+app.get('/admin/api/jobs', adminAuth, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({
+        live: jobQueue.liveJobs().map(adminJobView),
+        recent: store.listHistory({ limit, userId: req.query.userId }).map(entry => ({
+            ...entry,
+            processingSeconds: entry.startedAt && entry.finishedAt ? (entry.finishedAt - entry.startedAt) / 1000 : null
+        }))
+    });
+});
+
+app.post('/admin/api/jobs/:jobId/cancel', adminAuth, (req, res) => {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Trabajo no encontrado.' });
+    if (!jobQueue.cancel(job.id)) return res.status(409).json({ error: 'El trabajo ya ha terminado.' });
+    res.json(adminJobView(job));
+});
+
+// Conversiones e ingresos (en unidades de moneda) por día
+app.get('/admin/api/timeseries', adminAuth, (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    res.json(store.getDailySeries(days).map(day => ({ ...day, revenue: day.revenue / 100 })));
+});
+
+app.get('/admin/api/users', adminAuth, (req, res) => {
+    res.json(store.listUsers());
+});
+
+app.post('/admin/api/users/:userId/premium', adminAuth, (req, res) => {
+    if (!store.getUser(req.params.userId)) return res.status(404).json({ error: 'Usuario no encontrado.' });
+    const days = parseInt(req.body.days, 10);
+    const premium = store.setPremium(req.params.userId, {
+        expiresAt: days > 0 ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+        source: 'admin'
+    });
+    res.json(premium);
+});
+
+app.delete('/admin/api/users/:userId/premium', adminAuth, (req, res) => {
+    if (!store.revokePremium(req.params.userId)) return res.status(404).json({ error: 'El usuario no tiene Premium.' });
+    res.json({ revoked: true });
+});
+
+app.post('/admin/api/users/:userId/reset-quota', adminAuth, (req, res) => {
+    store.resetUsage(req.params.userId);
+    res.json(store.getUsage(req.params.userId));
+});
+
+app.get('/admin/api/keys', adminAuth, (req, res) => {
+    res.json(store.listApiKeys().map(key => ({
+        ...apiKeys.view(key),
+        email: (store.getUser(key.userId) || {}).email || null,
+        isPremium: store.isPremium(key.userId),
+        effectiveLimit: apiDailyLimit(key),
+        usage: store.getUsage(`apikey:${key.id}`)
+    })));
+});
+
+// La clave y el secreto de webhooks sólo se devuelven aquí, al crearla
+app.post('/admin/api/keys', adminAuth, (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    let user = null;
+    if (req.body.userId) user = store.getUser(req.body.userId);
+    else if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) user = store.findUserByEmail(email) || store.createUser({ email });
+    if (!user) return res.status(400).json({ error: 'Indica el email (o userId) de la cuenta dueña de la clave.' });
+    const { record, key } = apiKeys.create({
+        name: req.body.name,
+        userId: user.id,
+        dailyLimit: parseInt(req.body.dailyLimit, 10) || null,
+        sharedPaths: req.body.sharedPaths === true || req.body.sharedPaths === 'true'
     });
+    res.status(201).json({ ...apiKeys.view(record), key, webhookSecret: record.webhookSecret });
+});
+
+app.delete('/admin/api/keys/:keyId', adminAuth, (req, res) => {
+    const key = apiKeys.revoke(req.params.keyId);
+    if (!key) return res.status(404).json({ error: 'Clave no encontrada.' });
+    res.json(apiKeys.view(key));
+});
+
+app.get('/admin/api/export/history.csv', adminAuth, (req, res) => {
+    const rows = store.listHistory({ limit: Infinity }).map(entry => ({
+        ...entry,
+        email: (store.getUser(entry.userId) || {}).email,
+        operations: (entry.operations || []).join(' '),
+        processingSeconds: entry.startedAt && entry.finishedAt ? (entry.finishedAt - entry.startedAt) / 1000 : '',
+        startedAt: isoDate(entry.startedAt),
+        finishedAt: isoDate(entry.finishedAt)
+    }));
+    res.attachment(`historial-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv').send(toCsv(rows, [
+        'jobId', 'userId', 'email', 'originalName', 'inputFormat', 'format', 'quality', 'operations',
+        'size', 'outputSize', 'mediaDuration', 'processingSeconds', 'status', 'error', 'startedAt', 'finishedAt'
+    ]));
+});
+
+app.get('/admin/api/export/payments.csv', adminAuth, (req, res) => {
+    const rows = store.listPayments().map(payment => ({
+        ...payment,
+        email: (store.getUser(payment.userId) || {}).email,
+        amount: (payment.amount / 100).toFixed(2),
+        createdAt: isoDate(payment.createdAt)
+    }));
+    res.attachment(`pagos-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv').send(toCsv(rows, ['createdAt', 'id', 'type', 'userId', 'email', 'amount', 'currency', 'reference']));
 });
 
 /**
@@ -196,37 +1046,60 @@ app.post('/convert', limiter, upload.single('file'), (req, res) => {
  * ==========================================
  */
 app.get('/', (req, res) => {
-    const stats = getUserStats(req.ip);
     res.render('landing', {
         title: 'Inicio',
-        conversionsLeft: config.freeLimit - stats.conversions,
+        conversionsLeft: config.freeLimit - usedToday(identityOf(req)),
         maxLimit: config.freeLimit,
         maxSize: 100
     });
 });
 
+app.get('/conversor', (req, res) => {
+    const isPremium = isPremiumRequest(req);
+    res.render('public_converter', {
+        title: 'Conversor',
+        isPremium,
+        conversionsLeft: config.freeLimit - usedToday(identityOf(req)),
+        maxSize: (isPremium ? config.premiumMaxSize : config.freeMaxSize) / (1024 * 1024)
+    });
+});
+
+app.get('/success', (req, res) => {
+    res.render('success', { title: 'Pago completado' });
+});
+
 app.get('/premium', (req, res) => {
     res.render('premium', {
         title: 'Pásate a Premium',
-        stripePublicKey: process.env.STRIPE_PUBLIC_KEY
+        stripePublicKey: process.env.STRIPE_PUBLIC_KEY,
+        plans: billing.plans
     });
 });
 
 app.get('/dashboard', adminAuth, (req, res) => {
-    const total = Array.from(userStats.values()).reduce((a, b) => a + b.conversions, 0);
     res.render('dashboard', {
         title: 'Admin Panel',
-        stats: { totalUsers: userStats.size, totalConversions: total, premiumCount: premiumUsers.length }
+        stats: {
+            totalUsers: store.countUsers(),
+            totalConversions: store.countConversions(),
+            premiumCount: store.listPremium().length
+        }
     });
 });
 
 setInterval(() => {
     const threshold = Date.now() - config.cleanupInterval;
+    jobQueue.prune(threshold);
+    store.pruneExpired();
+    uploadManager.collectGarbage(threshold);
+    // Los archivos de los trabajos en cola o en curso no se tocan, por mucho que lleven esperando
+    const inUse = new Set(jobQueue.liveJobs().flatMap(job => [job.inputPath, job.outputPath]));
     [uploadsDir, outputsDir].forEach(dir => {
         fs.readdir(dir, (err, files) => {
             if (err) return;
             files.forEach(f => {
                 const p = path.join(dir, f);
+                if (inUse.has(p)) return;
                 fs.stat(p, (err, s) => {
                     if (!err && s.mtimeMs < threshold) fs.unlink(p, () => {});
                 });
@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { MemoryStore } = require('../lib/store');
+const { createBilling } = require('../lib/billing');
+
+/**
+ * Eventos de Stripe de ejemplo, firmados y verificados igual que en
+ * /stripe-webhook, contra un almacén en memoria. No hay llamadas de red.
+ */
+
+const WEBHOOK_SECRET = 'whsec_test_fixtures';
+const DAY = 24 * 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+
+const stripe = Stripe('sk_test_fixtures');
+
+const setup = () => {
+    const store = new MemoryStore();
+    const billing = createBilling({ stripe, store, webhookSecret: WEBHOOK_SECRET });
+    const user = store.createUser({ email: 'ana@example.com' });
+
+    let sequence = 0;
+    // Firma el evento y lo procesa como lo haría la ruta del webhook
+    const deliver = (type, object, id = `evt_${++sequence}`) => {
+        const payload = JSON.stringify({ id, object: 'event', type, data: { object } });
+        const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+        return billing.handleEvent(billing.constructEvent(Buffer.from(payload), signature));
+    };
+    return { store, billing, user, deliver };
+};
+
+const checkoutSession = (user, overrides = {}) => ({
+    id: 'cs_test_1',
+    object: 'checkout.session',
+    mode: 'subscription',
+    payment_status: 'paid',
+    created: now(),
+    client_reference_id: user.id,
+    customer: 'cus_test_1',
+    subscription: 'sub_test_1',
+    metadata: { userId: user.id, plan: 'monthly' },
+    ...overrides
+});
+
+const subscription = (user, overrides = {}) => ({
+    id: 'sub_test_1',
+    object: 'subscription',
+    customer: 'cus_test_1',
+    status: 'active',
+    current_period_end: now() + 30 * DAY,
+    cancel_at_period_end: false,
+    metadata: { userId: user.id, plan: 'monthly' },
+    ...overrides
+});
+
+const invoice = (user, overrides = {}) => ({
+    id: 'in_test_1',
+    object: 'invoice',
+    customer: 'cus_test_1',
+    subscription: 'sub_test_1',
+    subscription_details: { metadata: { userId: user.id, plan: 'monthly' } },
+    amount_paid: 999,
+    currency: 'usd',
+    lines: { data: [{ period: { start: now(), end: now() + 30 * DAY } }] },
+    ...overrides
+});
+
+const charge = (overrides = {}) => ({
+    id: 'ch_test_1',
+    object: 'charge',
+    customer: 'cus_test_1',
+    invoice: 'in_test_1',
+    amount: 999,
+    amount_refunded: 999,
+    refunded: true,
+    currency: 'usd',
+    ...overrides
+});
+
+const revenue = (store) => store.listPayments().reduce((total, p) => total + p.amount, 0);
+
+test('rechaza eventos con una firma no válida', () => {
+    const { billing } = setup();
+    const payload = JSON.stringify({ id: 'evt_x', type: 'invoice.paid', data: { object: {} } });
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_otro' });
+    assert.throws(() => billing.constructEvent(Buffer.from(payload), signature));
+});
+
+test('checkout.session.completed concede Premium y vincula el cliente', () => {
+    const { store, user, deliver } = setup();
+    assert.deepEqual(deliver('checkout.session.completed', checkoutSession(user)), { handled: true, duplicate: false });
+
+    const saved = store.getUser(user.id);
+    assert.equal(store.isPremium(user.id), true);
+    assert.equal(saved.stripeCustomerId, 'cus_test_1');
+    assert.equal(saved.premium.source, 'stripe');
+    assert.equal(saved.subscription.status, 'active');
+    // Las suscripciones se contabilizan con su factura, no con el Checkout
+    assert.equal(store.listPayments().length, 0);
+});
+
+test('checkout sin cuenta crea una por el email del cliente', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user, {
+        client_reference_id: null,
+        metadata: { plan: 'yearly' },
+        customer_details: { email: 'Nuevo@Example.com ' }
+    }));
+
+    const created = store.findUserByEmail('nuevo@example.com');
+    assert.ok(created);
+    assert.equal(store.isPremium(created.id), true);
+    assert.equal(store.isPremium(user.id), false);
+});
+
+test('customer.subscription.deleted revoca Premium', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user));
+    deliver('customer.subscription.created', subscription(user));
+    deliver('customer.subscription.deleted', subscription(user, { status: 'canceled' }));
+
+    assert.equal(store.isPremium(user.id), false);
+    assert.equal(store.getUser(user.id).subscription.status, 'canceled');
+});
+
+test('el fin de una suscripción antigua no revoca la actual', () => {
+    const { store, user, deliver } = setup();
+    deliver('customer.subscription.created', subscription(user, { id: 'sub_antigua', current_period_end: now() + DAY }));
+    deliver('customer.subscription.created', subscription(user, { id: 'sub_nueva', current_period_end: now() + 60 * DAY }));
+    deliver('customer.subscription.deleted', subscription(user, { id: 'sub_antigua' }));
+
+    assert.equal(store.isPremium(user.id), true);
+    assert.equal(store.getUser(user.id).premium.reference, 'sub_nueva');
+});
+
+test('una concesión manual sin caducidad no se acorta ni se revoca', () => {
+    const { store, user, deliver } = setup();
+    store.setPremium(user.id, { source: 'admin' });
+    deliver('customer.subscription.created', subscription(user, { current_period_end: now() + DAY }));
+    deliver('customer.subscription.deleted', subscription(user));
+    deliver('charge.refunded', charge());
+
+    const { premium } = store.getUser(user.id);
+    assert.equal(premium.source, 'admin');
+    assert.equal(premium.expiresAt, null);
+    assert.equal(store.isPremium(user.id), true);
+});
+
+test('invoice.paid registra el cobro y amplía el periodo', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user));
+    const end = now() + 40 * DAY;
+    deliver('invoice.paid', invoice(user, { lines: { data: [{ period: { start: now(), end } }] } }));
+
+    assert.equal(revenue(store), 999);
+    assert.ok(store.getUser(user.id).premium.expiresAt > end * 1000);
+});
+
+test('la primera factura puede llegar antes que el Checkout', () => {
+    const { store, user, deliver } = setup();
+    deliver('invoice.paid', invoice(user));
+    deliver('checkout.session.completed', checkoutSession(user));
+
+    assert.equal(store.isPremium(user.id), true);
+    assert.equal(store.getUser(user.id).stripeCustomerId, 'cus_test_1');
+    assert.equal(revenue(store), 999);
+
+    // El reembolso encuentra la cuenta por el cliente vinculado con la factura
+    deliver('charge.refunded', charge());
+    assert.equal(revenue(store), 0);
+});
+
+test('una factura de una cuenta desconocida no se marca como procesada', () => {
+    const { store, user, deliver } = setup();
+    const orphan = invoice(user, { customer: 'cus_desconocido', subscription_details: { metadata: {} } });
+
+    assert.throws(() => deliver('invoice.paid', orphan, 'evt_huerfano'), /No se encontró la cuenta/);
+    assert.equal(store.hasProcessedEvent('evt_huerfano'), false);
+    assert.equal(store.listPayments().length, 0);
+});
+
+test('charge.refunded contabiliza reembolsos parciales y sólo el total retira Premium', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user));
+    deliver('invoice.paid', invoice(user));
+
+    deliver('charge.refunded', charge({ amount_refunded: 300, refunded: false }));
+    assert.equal(revenue(store), 699);
+    assert.equal(store.isPremium(user.id), true);
+
+    deliver('charge.refunded', charge({ amount_refunded: 999, refunded: true }));
+    assert.equal(revenue(store), 0);
+    assert.equal(store.isPremium(user.id), false);
+
+    const refunds = store.listPayments().filter(p => p.type === 'refund');
+    assert.deepEqual(refunds.map(p => p.amount).sort((a, b) => a - b), [-699, -300]);
+});
+
+test('reembolsar un pago único antiguo no retira la suscripción vigente', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user, {
+        id: 'cs_antiguo',
+        mode: 'payment',
+        subscription: null,
+        payment_intent: 'pi_antiguo',
+        amount_total: 499,
+        currency: 'usd',
+        created: now() - 60 * DAY
+    }));
+    deliver('checkout.session.completed', checkoutSession(user));
+    deliver('invoice.paid', invoice(user));
+
+    deliver('charge.refunded', charge({ id: 'ch_antiguo', invoice: null, payment_intent: 'pi_antiguo', amount: 499, amount_refunded: 499 }));
+    assert.equal(revenue(store), 999);
+    assert.equal(store.isPremium(user.id), true);
+    assert.equal(store.getUser(user.id).premium.reference, 'sub_test_1');
+});
+
+test('un id de evento repetido se ignora', () => {
+    const { store, user, deliver } = setup();
+    deliver('checkout.session.completed', checkoutSession(user));
+
+    assert.deepEqual(deliver('invoice.paid', invoice(user), 'evt_repetido'), { handled: true, duplicate: false });
+    assert.deepEqual(deliver('invoice.paid', invoice(user), 'evt_repetido'), { handled: false, duplicate: true });
+    assert.equal(store.listPayments().length, 1);
+    assert.equal(revenue(store), 999);
+});
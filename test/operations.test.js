@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const presets = require('../lib/presets');
+const { planOperations, buildArgs, parseTime } = require('../lib/operations');
+
+/**
+ * Planes de edición y argumentos de ffmpeg a partir de un `media` de ffprobe
+ * de ejemplo. No se ejecuta ffmpeg.
+ */
+
+const FREE = { maxDuration: 1800, maxResolution: 1920, maxAnimation: 15 };
+const PREMIUM = { maxDuration: 21600, maxResolution: 4096, maxAnimation: 60 };
+
+const media = (overrides = {}) => ({
+    duration: 120,
+    video: { width: 1920, height: 1080, fps: 30 },
+    audio: { codec: 'aac', channels: 2, sampleRate: 48000 },
+    ...overrides
+});
+
+const plan = (operations, { isPremium = false, format = 'mp4', source = media() } = {}) => planOperations(operations, {
+    media: source,
+    format,
+    isPremium,
+    limits: isPremium ? PREMIUM : FREE,
+    premiumLimits: PREMIUM
+});
+
+const args = (operations, options = {}) => {
+    const format = options.format || 'mp4';
+    const edits = plan(operations, options);
+    return buildArgs({
+        plan: edits,
+        preset: edits.output ? null : presets.resolvePreset(format, 'medium', true),
+        media: options.source || media(),
+        inputPath: 'in.mp4',
+        outputPath: 'out'
+    });
+};
+
+test('parseTime acepta segundos y hh:mm:ss', () => {
+    assert.equal(parseTime(90, 'start'), 90);
+    assert.equal(parseTime('01:30', 'start'), 90);
+    assert.equal(parseTime('00:01:30.5', 'start'), 90.5);
+    assert.throws(() => parseTime('-3', 'start'), { status: 400 });
+});
+
+test('las operaciones se aplican en orden fijo sea cual sea el de la petición', () => {
+    const edits = plan([{ type: 'scale', width: 640 }, { type: 'crop', width: 1280, height: 720 }, { type: 'trim', start: 10, end: 20 }]);
+    assert.deepEqual(edits.operations, ['trim', 'crop', 'scale']);
+    assert.deepEqual(edits.videoFilters, ['crop=1280:720:0:0', 'scale=640:-2']);
+    assert.equal(edits.duration, 10);
+});
+
+test('trim recorta al final del archivo y rechaza rangos fuera de él', () => {
+    const edits = plan([{ type: 'trim', start: '01:50', end: 500 }]);
+    assert.deepEqual(edits.inputArgs, ['-ss', '110.000', '-t', '10.000']);
+
+    assert.throws(() => plan([{ type: 'trim', start: 130 }]), { status: 400, message: /supera la duración/ });
+    assert.throws(() => plan([{ type: 'trim', start: 30, end: 20 }]), { status: 400, message: /posterior al inicio/ });
+});
+
+test('crop no puede salirse del fotograma', () => {
+    assert.throws(() => plan([{ type: 'crop', width: 2000, height: 720 }]), { status: 400, message: /"width"/ });
+    assert.throws(() => plan([{ type: 'crop', width: 1280, height: 720, x: 700 }]), { status: 400, message: /"x"/ });
+    // El recorte se mide sobre el original aunque se pida después del giro
+    assert.deepEqual(plan([{ type: 'rotate', degrees: 90 }, { type: 'crop', width: 1280, height: 720 }]).videoFilters, ['crop=1280:720:0:0', 'transpose=clock']);
+    assert.deepEqual(plan([{ type: 'crop', width: 1279, height: 720, x: 640 }]).videoFilters, ['crop=1278:720:640:0']);
+});
+
+test('una resolución que sólo permite Premium responde 403 y una imposible 422', () => {
+    assert.throws(() => plan([{ type: 'scale', width: 3840 }]), { status: 403 });
+    assert.throws(() => plan([{ type: 'scale', width: 8000 }]), { status: 422 });
+    assert.equal(plan([{ type: 'scale', width: 3840 }], { isPremium: true }).scaled, true);
+});
+
+test('las operaciones Premium responden 403 en el plan gratuito', () => {
+    assert.throws(() => plan([{ type: 'normalize' }]), { status: 403, message: /exclusiva de Premium/ });
+    assert.throws(() => plan([{ type: 'webp' }]), { status: 403 });
+    assert.deepEqual(plan([{ type: 'normalize' }], { isPremium: true }).audioFilters, ['loudnorm=I=-16:TP=-1.5:LRA=11']);
+});
+
+test('el GIF respeta la duración máxima de animación del plan', () => {
+    assert.throws(() => plan([{ type: 'gif' }], { source: media({ duration: 30 }) }), { status: 403, message: /máximo 15 s/ });
+    assert.throws(() => plan([{ type: 'gif' }]), { status: 422 });
+    assert.equal(plan([{ type: 'gif' }], { isPremium: true, source: media({ duration: 30 }) }).output.format, 'gif');
+    assert.throws(() => plan([{ type: 'gif' }], { source: media({ duration: null }) }), { status: 422 });
+
+    const edits = plan([{ type: 'trim', start: 10, end: 20 }, { type: 'gif', fps: 12, width: 321 }]);
+    assert.equal(edits.output.format, 'gif');
+    assert.deepEqual(edits.output.filters, ['fps=12', 'scale=320:-1:flags=lanczos']);
+});
+
+test('no se combinan dos salidas ni se repite una operación', () => {
+    assert.throws(() => plan([{ type: 'gif' }, { type: 'snapshot' }]), { status: 400, message: /No se pueden combinar/ });
+    assert.throws(() => plan([{ type: 'fps', fps: 24 }, { type: 'fps', fps: 25 }]), { status: 400, message: /más de una vez/ });
+    assert.throws(() => plan('{"type":'), { status: 400, message: /JSON válido/ });
+    assert.throws(() => plan([{ type: 'desconocida' }]), { status: 400 });
+});
+
+test('las operaciones de vídeo no se aplican a salidas de audio', () => {
+    assert.throws(() => plan([{ type: 'crop', width: 640, height: 360 }], { format: 'mp3' }), { status: 400, message: /salida de audio/ });
+    assert.throws(() => plan([{ type: 'mute' }], { format: 'mp3' }), { status: 400 });
+});
+
+test('buildArgs pasa el recorte y los filtros al preset', () => {
+    const list = args([{ type: 'trim', start: 5, end: 15 }, { type: 'scale', height: 720 }, { type: 'mute' }]);
+    assert.deepEqual(list.slice(0, 6), ['-ss', '5.000', '-t', '10.000', '-i', 'in.mp4']);
+    assert.equal(list[list.indexOf('-vf') + 1], 'scale=-2:720');
+    assert.ok(list.includes('-an'));
+    assert.equal(list[list.length - 1], 'out');
+});
+
+test('buildArgs genera el GIF con paleta propia y sin audio', () => {
+    const list = args([{ type: 'trim', start: 0, end: 5 }, { type: 'gif' }]);
+    assert.deepEqual(list.slice(0, 6), ['-ss', '0.000', '-t', '5.000', '-i', 'in.mp4']);
+    assert.equal(list[list.indexOf('-vf') + 1], 'fps=10,scale=480:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse');
+    assert.ok(list.includes('-an'));
+    assert.deepEqual(list.slice(-5), ['-loop', '0', '-f', 'gif', 'out']);
+});
+
+test('maxSizeMB calcula una tasa de vídeo fija y rechaza tamaños imposibles', () => {
+    const list = args([{ type: 'scale', maxSizeMB: 10 }]);
+    assert.ok(list.includes('-maxrate'));
+    assert.throws(() => args([{ type: 'scale', maxSizeMB: 0.01 }]), { status: 422 });
+});
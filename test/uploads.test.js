@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { UploadManager } = require('../lib/uploads');
+
+/**
+ * Subidas reanudables contra un directorio temporal. Los fragmentos llegan
+ * como streams en memoria, igual que el cuerpo de un PATCH.
+ */
+
+const MB = 1024 * 1024;
+
+const setup = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { dir, uploads: new UploadManager({ dir }) };
+};
+
+const body = (...chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+const sha256 = (data, encoding = 'hex') => crypto.createHash('sha256').update(data).digest(encoding);
+
+const open = (uploads, overrides = {}) => uploads.create({ owner: 'ip:1.2.3.4', filename: 'video.mp4', size: 10, maxSize: MB, ...overrides });
+
+test('ensambla los fragmentos en orden y marca la subida como completa', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads, { sha256: sha256('0123456789') });
+
+    await uploads.appendChunk(session, body('0123'), { offset: 0, maxSize: MB });
+    assert.equal(session.offset, 4);
+    assert.equal(session.complete, false);
+
+    await uploads.appendChunk(session, body('45', '6789'), { offset: 4, maxSize: MB });
+    assert.equal(session.complete, true);
+    assert.equal(fs.readFileSync(session.path, 'utf8'), '0123456789');
+    assert.equal(uploads.take(session.id, 'ip:1.2.3.4').path, session.path);
+});
+
+test('un Upload-Offset que no coincide responde 409 sin escribir nada', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads);
+    await uploads.appendChunk(session, body('0123'), { offset: 0, maxSize: MB });
+
+    await assert.rejects(uploads.appendChunk(session, body('xxxx'), { offset: 2, maxSize: MB }), { status: 409, message: /esperado 4/ });
+    assert.equal(session.offset, 4);
+    assert.equal(fs.readFileSync(session.path, 'utf8'), '0123');
+});
+
+test('un fragmento con checksum incorrecto responde 460 y se descarta', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads);
+
+    const wrong = { algorithm: 'sha256', value: sha256('otra cosa', 'base64') };
+    await assert.rejects(uploads.appendChunk(session, body('0123'), { offset: 0, checksum: wrong, maxSize: MB }), { status: 460 });
+    assert.equal(session.offset, 0);
+    assert.equal(fs.statSync(session.path).size, 0);
+    assert.equal(session.busy, false);
+
+    const right = { algorithm: 'sha256', value: sha256('0123', 'base64') };
+    await uploads.appendChunk(session, body('0123'), { offset: 0, checksum: right, maxSize: MB });
+    assert.equal(session.offset, 4);
+});
+
+test('superar el límite del plan responde 413 con planLimit mientras llegan los datos', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads, { size: 100, maxSize: 100 });
+
+    // El límite del plan bajó (p. ej. caducó Premium) después de crear la sesión
+    await assert.rejects(uploads.appendChunk(session, body('0123456789', 'abcdef'), { offset: 0, maxSize: 12 }), { status: 413, planLimit: true });
+    assert.equal(session.offset, 10);
+    assert.equal(session.busy, false);
+});
+
+test('enviar más datos que el tamaño declarado responde 413 sin planLimit', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads, { size: 4 });
+
+    await assert.rejects(uploads.appendChunk(session, body('0123', '4567'), { offset: 0, maxSize: MB }), { status: 413, planLimit: false });
+    assert.equal(session.complete, false);
+});
+
+test('un cuerpo ya leído se rechaza sin dejar la subida ocupada', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads);
+    const consumed = body('0123');
+    consumed.resume();
+    await new Promise(resolve => consumed.on('end', resolve));
+
+    await assert.rejects(uploads.appendChunk(session, consumed, { offset: 0, maxSize: MB }), { status: 400 });
+    assert.ok(!session.busy);
+});
+
+test('un archivo que no coincide con el sha256 declarado responde 460 y se descarta', async (t) => {
+    const { uploads } = setup(t);
+    const session = open(uploads, { size: 4, sha256: sha256('abcd') });
+
+    await assert.rejects(uploads.appendChunk(session, body('0123'), { offset: 0, maxSize: MB }), { status: 460 });
+    assert.throws(() => uploads.get(session.id, 'ip:1.2.3.4'), { status: 404 });
+});
+
+test('limita las subidas abiertas y el espacio reservado de cada dueño', (t) => {
+    const { uploads } = setup(t);
+    open(uploads, { size: 60, maxSessions: 2, maxReserved: 100 });
+
+    assert.throws(() => open(uploads, { size: 50, maxSessions: 2, maxReserved: 100 }), { status: 413, planLimit: true });
+    open(uploads, { size: 40, maxSessions: 2, maxReserved: 100 });
+    assert.throws(() => open(uploads, { size: 1, maxSessions: 2, maxReserved: 100 }), { status: 429 });
+
+    // Las subidas de otros dueños no cuentan
+    open(uploads, { owner: 'user:otro', size: 60, maxSessions: 2, maxReserved: 100 });
+    assert.equal(uploads.sessionsOf('ip:1.2.3.4').length, 2);
+});